@@ -10,6 +10,8 @@ import path from 'path';
 import fs from 'fs/promises';
 import { analyzeCSSFile, formatIssues } from '../src/parsers/css-parser.js';
 import { analyzeJSFile, formatJSIssues } from '../src/parsers/js-parser.js';
+import { analyzeHTMLFile, formatHTMLIssues } from '../src/parsers/html-parser.js';
+import { analyzeSFCFile } from '../src/parsers/sfc-parser.js';
 import { 
   getFeaturesByStatus, 
   searchFeatures, 
@@ -58,6 +60,34 @@ function simpleExit(code = 0) {
 
 const program = new Command();
 
+// Markup files: HTML pages and single-file components, which hold both CSS and JS
+const MARKUP_EXTENSIONS = [...VALIDATION_RULES.HTML_EXTENSIONS, ...VALIDATION_RULES.SFC_EXTENSIONS];
+const MARKUP_GLOB = `**/*.{${MARKUP_EXTENSIONS.map(ext => ext.slice(1)).join(',')}}`;
+
+/**
+ * Helper: Analyze an HTML page or a single-file component
+ */
+async function analyzeMarkupFile(file, options) {
+  validateFileExtension(file, MARKUP_EXTENSIONS);
+  
+  const isHTML = VALIDATION_RULES.HTML_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  const result = await (isHTML ? analyzeHTMLFile : analyzeSFCFile)(file, options);
+  result.type = isHTML ? 'html' : 'component';
+  return result;
+}
+
+/**
+ * Helper: Get the analysis options shared by the check and score commands
+ */
+function getAnalysisOptions(options, config, requiredLevel) {
+  return {
+    requiredLevel,
+    guardedSeverity: config.analysis.guardedSeverity,
+    groupByFeature: options.groupByFeature || config.analysis.groupByFeature,
+    typeAware: options.typeAware || config.analysis.typeAware
+  };
+}
+
 program
   .name('baseline-lint')
   .description('Check web features for Baseline compatibility')
@@ -68,7 +98,7 @@ program
  */
 program
   .command('check [paths...]')
-  .description('Check CSS/JS files for Baseline compatibility')
+  .description('Check CSS/JS/HTML files and Vue/Svelte/Astro components for Baseline compatibility')
   .option('-l, --level <level>', 'Baseline level: widely|newly', 'newly')
   .option('-f, --format <format>', 'Output format: text|json', 'text')
   .option('--no-warnings', 'Hide warnings, show only errors')
@@ -76,6 +106,8 @@ program
   .option('--css-only', 'Check only CSS files')
   .option('--js-only', 'Check only JavaScript files')
   .option('--score', 'Calculate and show Baseline score')
+  .option('--type-aware', 'Resolve JS method receivers with the TypeScript checker (.ts/.tsx, .js with checkJs)')
+  .option('--group-by-feature', 'Report each JS feature once per file with its occurrence count and locations')
   .option('--batch-size <size>', 'Batch size for processing files (default: 25)', '25')
   .option('-c, --config <path>', 'Path to configuration file')
   .action(async (paths, options) => {
@@ -152,11 +184,29 @@ program
         }
       }
       
-      const totalFiles = cssFiles.length + jsFiles.length;
-      spinner.text = `Analyzing ${totalFiles} files (${cssFiles.length} CSS, ${jsFiles.length} JS)...`;
+      // Find HTML and component files, which hold both CSS and JS
+      let markupFiles = [];
+      if (!options.cssOnly && !options.jsOnly) {
+        for (const p of sanitizedPaths) {
+          // Check if it's a specific markup file
+          if (MARKUP_EXTENSIONS.includes(path.extname(p).toLowerCase())) {
+            markupFiles.push(p);
+          } else if (!p.includes('*')) {
+            const files = await glob(`${p}/${MARKUP_GLOB}`, { 
+              ignore: ['**/node_modules/**', '**/dist/**', '**/build/**'],
+              windowsPathsNoEscape: true
+            });
+            markupFiles.push(...files);
+          }
+        }
+      }
+      
+      const totalFiles = cssFiles.length + jsFiles.length + markupFiles.length;
+      spinner.text = `Analyzing ${totalFiles} files (${cssFiles.length} CSS, ${jsFiles.length} JS, ${markupFiles.length} HTML/components)...`;
       
       const results = [];
       const requiredLevel = options.level === 'widely' ? 'high' : 'low';
+      const analysisOptions = getAnalysisOptions(options, config, requiredLevel);
       
       // Process files in batches for better performance
       const BATCH_SIZE = parseInt(options.batchSize) || 25; // Configurable batch size
@@ -167,7 +217,7 @@ program
         const batchPromises = batch.map(async (file) => {
           try {
             const fileOpId = fileAnalysisTracker.startFileAnalysis(file, 'css');
-            const result = await analyzeCSSFile(file, { requiredLevel });
+            const result = await analyzeCSSFile(file, analysisOptions);
             fileAnalysisTracker.endFileAnalysis(fileOpId, result.issues || []);
             
             // Store original issues for scoring
@@ -201,7 +251,7 @@ program
         const batchPromises = batch.map(async (file) => {
           try {
             const fileOpId = fileAnalysisTracker.startFileAnalysis(file, 'js');
-            const result = await analyzeJSFile(file, { requiredLevel });
+            const result = await analyzeJSFile(file, analysisOptions);
             fileAnalysisTracker.endFileAnalysis(fileOpId, result.issues || []);
             
             // Store original issues for scoring
@@ -229,6 +279,39 @@ program
         spinner.text = `Analyzing JS files... ${processed}/${jsFiles.length}`;
       }
       
+      // Analyze HTML and component files in batches
+      for (let i = 0; i < markupFiles.length; i += BATCH_SIZE) {
+        const batch = markupFiles.slice(i, i + BATCH_SIZE);
+        const batchPromises = batch.map(async (file) => {
+          try {
+            const fileOpId = fileAnalysisTracker.startFileAnalysis(file, 'markup');
+            const result = await analyzeMarkupFile(file, analysisOptions);
+            fileAnalysisTracker.endFileAnalysis(fileOpId, result.issues || []);
+            
+            // Store original issues for scoring
+            result.originalIssues = result.issues || [];
+            
+            if (options.noWarnings) {
+              result.issues = result.issues?.filter(i => i.severity === 'error') || [];
+            }
+            return result;
+          } catch (error) {
+            console.error(chalk.red(`Error analyzing file ${file}:`));
+            console.error(chalk.gray(formatError(error)));
+            return null;
+          }
+        });
+        
+        const batchResults = await Promise.all(batchPromises);
+        batchResults.forEach(result => {
+          if (result) results.push(result);
+        });
+        
+        // Update progress
+        const processed = Math.min(i + BATCH_SIZE, markupFiles.length);
+        spinner.text = `Analyzing HTML and component files... ${processed}/${markupFiles.length}`;
+      }
+      
       spinner.stop();
       
       // Calculate score if requested
@@ -548,9 +631,14 @@ program
   .command('score [paths...]')
   .description('Calculate Baseline compatibility score (0-100)')
   .option('-l, --level <level>', 'Baseline level: widely|newly', 'newly')
+  .option('--type-aware', 'Resolve JS method receivers with the TypeScript checker (.ts/.tsx, .js with checkJs)')
+  .option('--group-by-feature', 'Report each JS feature once per file with its occurrence count and locations')
   .option('--batch-size <size>', 'Batch size for processing files (default: 50)', '50')
+  .option('-c, --config <path>', 'Path to configuration file')
   .action(async (paths, options) => {
     try {
+      const config = await loadConfig(options.config);
+      
       if (!paths || paths.length === 0) {
         paths = ['./src'];
       }
@@ -560,6 +648,7 @@ program
       // Find all files
       const cssFiles = [];
       const jsFiles = [];
+      const markupFiles = [];
       
       for (const p of paths) {
         // Handle both directory patterns and direct file patterns
@@ -576,10 +665,19 @@ program
         });
         cssFiles.push(...css);
         jsFiles.push(...js);
+        
+        if (!p.includes('*')) {
+          const markup = await glob(`${p}/${MARKUP_GLOB}`, { 
+            ignore: ['**/node_modules/**', '**/dist/**'],
+            windowsPathsNoEscape: true
+          });
+          markupFiles.push(...markup);
+        }
       }
       
-      const totalFiles = cssFiles.length + jsFiles.length;
+      const totalFiles = cssFiles.length + jsFiles.length + markupFiles.length;
       const requiredLevel = options.level === 'widely' ? 'high' : 'low';
+      const analysisOptions = getAnalysisOptions(options, config, requiredLevel);
       const allChecks = [];
       
       // Process files in batches for better performance
@@ -590,7 +688,7 @@ program
         const batch = cssFiles.slice(i, i + BATCH_SIZE);
         const batchPromises = batch.map(async (file) => {
           try {
-            const result = await analyzeCSSFile(file, { requiredLevel });
+            const result = await analyzeCSSFile(file, analysisOptions);
             return result.issues || [];
           } catch (error) {
             console.error(chalk.gray(`Warning: Could not analyze ${file}: ${error.message}`));
@@ -611,7 +709,7 @@ program
         const batch = jsFiles.slice(i, i + BATCH_SIZE);
         const batchPromises = batch.map(async (file) => {
           try {
-            const result = await analyzeJSFile(file, { requiredLevel });
+            const result = await analyzeJSFile(file, analysisOptions);
             return result.issues || [];
           } catch (error) {
             console.error(chalk.gray(`Warning: Could not analyze ${file}: ${error.message}`));
@@ -627,6 +725,27 @@ program
         spinner.text = `Processing JS files... ${processed}/${jsFiles.length}`;
       }
       
+      // Process HTML and component files in batches
+      for (let i = 0; i < markupFiles.length; i += BATCH_SIZE) {
+        const batch = markupFiles.slice(i, i + BATCH_SIZE);
+        const batchPromises = batch.map(async (file) => {
+          try {
+            const result = await analyzeMarkupFile(file, analysisOptions);
+            return result.issues || [];
+          } catch (error) {
+            console.error(chalk.gray(`Warning: Could not analyze ${file}: ${error.message}`));
+            return [];
+          }
+        });
+        
+        const batchResults = await Promise.all(batchPromises);
+        batchResults.forEach(issues => allChecks.push(...issues));
+        
+        // Update progress
+        const processed = Math.min(i + BATCH_SIZE, markupFiles.length);
+        spinner.text = `Processing HTML and component files... ${processed}/${markupFiles.length}`;
+      }
+      
       const score = calculateScore(allChecks);
       
       spinner.stop();
@@ -704,12 +823,15 @@ function printTextResults(results, options, score) {
     totalErrors += displayIssues.filter(i => i.severity === 'error').length;
     totalWarnings += displayIssues.filter(i => i.severity === 'warning').length;
     
-    const fileIcon = type === 'css' ? '🎨' : '⚡';
+    const fileIcons = { css: '🎨', html: '📄', component: '🧩' };
+    const fileIcon = fileIcons[type] || '⚡';
     console.log(`${fileIcon} ${chalk.bold(file)}`);
     console.log(chalk.gray('─'.repeat(Math.min(file.length, 60))));
     
     if (type === 'css') {
       console.log(formatIssues(displayIssues));
+    } else if (type === 'html' || type === 'component') {
+      console.log(formatHTMLIssues(displayIssues));
     } else {
       console.log(formatJSIssues(displayIssues));
     }
@@ -721,6 +843,13 @@ function printTextResults(results, options, score) {
   console.log(`  Files with issues: ${displayResults.length}`);
   console.log(`  ${chalk.red('Errors:')} ${totalErrors}`);
   console.log(`  ${chalk.yellow('Warnings:')} ${totalWarnings}`);
+  
+  // Usages behind a feature check (e.g. @supports) versus unguarded ones
+  const totalGuarded = results.reduce((sum, r) => sum + (r.summary?.guarded || 0), 0);
+  if (totalGuarded > 0) {
+    const totalUnguarded = results.reduce((sum, r) => sum + (r.summary?.unguarded || 0), 0);
+    console.log(`  ${chalk.cyan('Guarded usages:')} ${totalGuarded} (unguarded: ${totalUnguarded})`);
+  }
   console.log();
 }
 
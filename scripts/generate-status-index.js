@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Generate the offline Baseline status index (src/data/baseline-status.js)
+// Run after upgrading web-features, compute-baseline or @mdn/browser-compat-data
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStatus, coreBrowserSet } from 'compute-baseline';
+import { Compat } from 'compute-baseline/browser-compat-data';
+
+const require = createRequire(import.meta.url);
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const outputFile = path.join(rootDir, 'src', 'data', 'baseline-status.js');
+const builtinsFile = path.join(rootDir, 'src', 'data', 'javascript-builtins.js');
+
+// BCD namespaces the analyzers look up
+const NAMESPACES = ['api', 'css', 'html', 'javascript'];
+
+// Months between Baseline low and high, see compute-baseline's BASELINE_LOW_TO_HIGH_DURATION
+const LOW_TO_HIGH_MONTHS = 30;
+
+// Builtins without a global binding, only reachable through syntax or their subclasses
+const INTRINSIC_BUILTINS = new Set([
+  'AsyncFunction', 'AsyncGenerator', 'AsyncGeneratorFunction', 'AsyncIterator',
+  'Generator', 'GeneratorFunction', 'TypedArray'
+]);
+
+/**
+ * Read the installed version of a package
+ */
+function packageVersion(name) {
+  let manifestPath;
+  try {
+    manifestPath = require.resolve(`${name}/package.json`);
+  } catch {
+    // Packages without a "./package.json" export
+    manifestPath = path.join(rootDir, 'node_modules', name, 'package.json');
+  }
+  return JSON.parse(readFileSync(manifestPath, 'utf-8')).version;
+}
+
+/**
+ * Encode a status as [baseline, lowDate, highDate, versions], where versions
+ * lists the first supporting release per core browser, comma separated
+ */
+function encodeStatus(status) {
+  const versions = coreBrowserSet.map(browser => status.support[browser] || '').join(',');
+  return [status.baseline, status.baseline_low_date || null, status.baseline_high_date || null, versions];
+}
+
+/**
+ * Collect the vendor-prefixed and alternative names of a CSS property or
+ * property value, with the first release supporting each name per core browser
+ */
+function collectPrefixedNames(feature) {
+  const names = new Map();
+  const segments = feature.id.split('.');
+  const name = segments.pop();
+  
+  for (const browser of coreBrowserSet) {
+    const statements = [feature.data.__compat.support[browser] || []].flat();
+    
+    for (const statement of statements) {
+      const prefixedName = statement.alternative_name || (statement.prefix && `${statement.prefix}${name}`);
+      const version = statement.version_added;
+      // Prefixed forms that were removed or sit behind a flag don't help anyone
+      if (!prefixedName || statement.flags || statement.version_removed || typeof version !== 'string' || version === 'preview') {
+        continue;
+      }
+      
+      const key = [...segments, prefixedName].join('.');
+      if (!names.has(key)) {
+        names.set(key, {});
+      }
+      const support = names.get(key);
+      if (!support[browser] || Number.parseFloat(version.replace('≤', '')) < Number.parseFloat(support[browser].replace('≤', ''))) {
+        support[browser] = version;
+      }
+    }
+  }
+  
+  return names;
+}
+
+/**
+ * Compute a Baseline status from per-browser support, the same way compute-baseline
+ * does for unprefixed features: the last core browser release sets the low date
+ */
+function computePrefixedStatus(support, cutoffDate) {
+  const dates = coreBrowserSet.map(browser => {
+    const version = support[browser]?.replace('≤', '');
+    return version ? compat.data.browsers[browser].releases[version]?.release_date : undefined;
+  });
+  
+  if (dates.some(date => !date)) {
+    return { baseline: false, support };
+  }
+  
+  const lowDate = dates.sort().at(-1);
+  const high = new Date(`${lowDate}T00:00:00Z`);
+  high.setUTCMonth(high.getUTCMonth() + LOW_TO_HIGH_MONTHS);
+  const highDate = high.toISOString().slice(0, 10);
+  
+  if (highDate <= cutoffDate) {
+    return { baseline: 'high', baseline_low_date: lowDate, baseline_high_date: highDate, support };
+  }
+  return { baseline: 'low', baseline_low_date: lowDate, support };
+}
+
+/**
+ * Get the lowercased URL fragments of a feature's specification links
+ */
+function specFragments(compatData) {
+  return [compatData?.spec_url || []].flat().map(url => (url.split('#')[1] || '').toLowerCase());
+}
+
+/**
+ * Classify a builtin member as 'static' or 'prototype' from the specification
+ * section it links to, or null for sub-features (RegExp.named_capture_groups),
+ * symbol-keyed members and members BCD doesn't link to a section for
+ */
+function classifyBuiltinMember(builtin, member, compatData) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(member)) return null;
+  
+  const fragments = specFragments(compatData);
+  const name = `${builtin}.${member}`.toLowerCase();
+  
+  if (fragments.some(fragment => /prototype[.-]|-instances/.test(fragment))) {
+    return 'prototype';
+  }
+  if (fragments.some(fragment => fragment.includes(name) || fragment.includes(`%${builtin.toLowerCase()}%.${member.toLowerCase()}`))) {
+    return 'static';
+  }
+  // Constructors and namespaces nested in a namespace: Intl.Segmenter, Temporal.Now
+  if (/^[A-Z]/.test(member) && fragments.some(fragment => /-objects?$/.test(fragment))) {
+    return 'static';
+  }
+  // Well-known symbols are specified in a table: Symbol.dispose
+  if (builtin === 'Symbol' && fragments.some(fragment => fragment.startsWith('table-'))) {
+    return 'static';
+  }
+  return null;
+}
+
+/**
+ * Check whether a prototype member is a method worth guessing a receiver for:
+ * not an accessor (Map.prototype.size, Array length) and not deprecated
+ * (String.prototype.bold, substr). Accessors are told from their spec section
+ * and, for builtins this Node.js has, from their property descriptor
+ * (Symbol.prototype.description).
+ */
+function isGuessableMethod(builtin, member, compatData) {
+  const fragments = specFragments(compatData);
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis[builtin]?.prototype ?? {}, member);
+  return !compatData?.status?.deprecated && !descriptor?.get && !fragments.some(fragment => /sec-get-|-instances/.test(fragment));
+}
+
+/**
+ * Build the catalogue of javascript.builtins.* globals with their kind, their
+ * static and prototype member names and the prototype methods
+ */
+function collectBuiltins(builtins) {
+  const catalogue = {};
+  
+  for (const [name, data] of Object.entries(builtins)) {
+    const members = { static: [], prototype: [], methods: [] };
+    for (const [member, memberData] of Object.entries(data)) {
+      const type = member === name || member === '__compat' ? null : classifyBuiltinMember(name, member, memberData.__compat);
+      if (type) {
+        members[type].push(member);
+      }
+      if (type === 'prototype' && isGuessableMethod(name, member, memberData.__compat)) {
+        members.methods.push(member);
+      }
+    }
+    
+    let kind;
+    if (INTRINSIC_BUILTINS.has(name)) {
+      kind = 'intrinsic';
+    } else if (data[name]) {
+      kind = 'constructor';
+    } else if (members.static.length > 0 || members.prototype.length > 0) {
+      kind = 'namespace';
+    } else {
+      // Value properties of the global object: globalThis, NaN, Infinity, undefined
+      kind = specFragments(data.__compat).some(fragment => /value-properties|globalthis|undefined$/.test(fragment)) ? 'value' : 'function';
+    }
+    
+    catalogue[name] = { kind, ...members };
+  }
+  
+  return catalogue;
+}
+
+const compat = new Compat();
+const cutoffDate = compat.data.__meta.timestamp.slice(0, 10);
+const entries = [];
+const prefixedEntries = [];
+let failed = 0;
+
+for (const feature of compat.walk(NAMESPACES)) {
+  try {
+    entries.push([feature.id, encodeStatus(getStatus(null, feature.id, compat))]);
+  } catch (error) {
+    failed++;
+  }
+  
+  if (feature.id.startsWith('css.properties.')) {
+    for (const [key, support] of collectPrefixedNames(feature)) {
+      prefixedEntries.push([key, [feature.id, ...encodeStatus(computePrefixedStatus(support, cutoffDate))]]);
+    }
+  }
+}
+
+// Names with their own BCD entry (e.g. -webkit-text-stroke) are answered by the status index
+const statusKeys = new Set(entries.map(([key]) => key));
+const prefixIndex = new Map(prefixedEntries.filter(([key]) => !statusKeys.has(key)));
+
+const byKey = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+entries.sort(byKey);
+
+const meta = {
+  webFeatures: packageVersion('web-features'),
+  computeBaseline: packageVersion('compute-baseline'),
+  browserCompatData: compat.version,
+  browsers: coreBrowserSet
+};
+
+const lines = [
+  '// src/data/baseline-status.js',
+  '// Generated by scripts/generate-status-index.js - do not edit by hand',
+  '',
+  '/**',
+  ' * Versions of the data the index was generated from',
+  ' */',
+  `export const STATUS_INDEX_META = ${JSON.stringify(meta)};`,
+  '',
+  '/**',
+  ' * BCD key -> [baseline, baseline_low_date, baseline_high_date, versions]',
+  ' */',
+  'export const STATUS_INDEX = {',
+  ...entries.map(([key, status]) => `${JSON.stringify(key)}:${JSON.stringify(status)},`),
+  '};',
+  '',
+  '/**',
+  ' * Vendor-prefixed or alternative CSS name -> [unprefixed BCD key, baseline,',
+  ' * baseline_low_date, baseline_high_date, versions] for the prefixed form itself',
+  ' */',
+  'export const PREFIX_INDEX = {',
+  ...[...prefixIndex].sort(byKey).map(([key, status]) => `${JSON.stringify(key)}:${JSON.stringify(status)},`),
+  '};',
+  ''
+];
+
+const builtins = collectBuiltins(compat.data.javascript.builtins);
+const builtinLines = [
+  '// src/data/javascript-builtins.js',
+  '// Generated by scripts/generate-status-index.js - do not edit by hand',
+  '',
+  '/**',
+  ' * javascript.builtins.* global -> { kind, static, prototype, methods }, where',
+  ' * kind is constructor, namespace, function, value or intrinsic (no global',
+  ' * binding, e.g. TypedArray), static/prototype list the member names and methods',
+  ' * the prototype members that are neither accessors nor deprecated',
+  ' */',
+  'export const JS_BUILTINS = {',
+  ...Object.entries(builtins).map(([name, builtin]) => `${JSON.stringify(name)}:${JSON.stringify(builtin)},`),
+  '};',
+  ''
+];
+
+mkdirSync(path.dirname(outputFile), { recursive: true });
+writeFileSync(outputFile, lines.join('\n'));
+writeFileSync(builtinsFile, builtinLines.join('\n'));
+
+console.log(`Wrote ${entries.length} statuses and ${prefixIndex.size} prefixed names to ${path.relative(rootDir, outputFile)}`);
+console.log(`Wrote ${Object.keys(builtins).length} JavaScript builtins to ${path.relative(rootDir, builtinsFile)}`);
+console.log(`  web-features ${meta.webFeatures}, compute-baseline ${meta.computeBaseline}, @mdn/browser-compat-data ${meta.browserCompatData}`);
+if (failed > 0) {
+  console.log(`  ${failed} keys skipped (no computable status)`);
+}
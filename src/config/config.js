@@ -43,7 +43,10 @@ export const DEFAULT_CONFIG = {
     includeComments: false,
     strictMode: false,
     maxFileSize: 50 * 1024 * 1024, // 50MB
-    timeout: 30000 // 30 seconds
+    timeout: 30000, // 30 seconds
+    guardedSeverity: 'info', // Severity for usages behind a feature check (@supports, 'x' in obj, typeof)
+    typeAware: false, // Resolve JS method receivers with the TypeScript checker
+    groupByFeature: false // Collapse repeated JS issues into one per feature with their locations
   },
   
   // Dashboard settings
@@ -203,6 +206,10 @@ function validateConfig(config) {
     throw new ValidationError('analysis.timeout must be positive');
   }
   
+  if (!['error', 'warning', 'info'].includes(config.analysis.guardedSeverity)) {
+    throw new ValidationError('analysis.guardedSeverity must be "error", "warning", or "info"');
+  }
+  
   // Validate dashboard settings
   if (config.dashboard.port < 1 || config.dashboard.port > 65535) {
     throw new ValidationError('dashboard.port must be between 1 and 65535');
@@ -239,7 +246,10 @@ export async function createSampleConfig(filePath = 'baseline-lint.json') {
       "includeComments": false,
       "strictMode": false,
       "maxFileSize": 52428800,
-      "timeout": 30000
+      "timeout": 30000,
+      "guardedSeverity": "info",
+      "typeAware": false,
+      "groupByFeature": false
     },
     "dashboard": {
       "port": 3000,
@@ -2,881 +2,11 @@
 // Enhanced Baseline checking with caching and JavaScript support
 
 import { features } from 'web-features';
-import { getStatus } from 'compute-baseline';
+import { STATUS_INDEX, STATUS_INDEX_META, PREFIX_INDEX } from '../data/baseline-status.js';
 import { bcdCache, featureCache, clearAllCaches } from '../utils/lru-cache.js';
 import { logger, logHelpers } from '../utils/logger.js';
 import { isTestEnvironment, getMockBCDStatus } from '../utils/test-helpers.js';
 
-/**
- * Fallback mappings for common CSS properties that should be widely supported
- */
-const CSS_FALLBACKS = {
-  'css.properties.flex-direction': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-09-01',
-    support: {
-      chrome: '21',
-      chrome_android: '21',
-      edge: '12',
-      firefox: '20',
-      firefox_android: '20',
-      safari: '9',
-      safari_ios: '9'
-    }
-  },
-  'css.properties.justify-content': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-09-01',
-    support: {
-      chrome: '21',
-      chrome_android: '21',
-      edge: '12',
-      firefox: '20',
-      firefox_android: '20',
-      safari: '9',
-      safari_ios: '9'
-    }
-  },
-  'css.properties.align-items': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-09-01',
-    support: {
-      chrome: '21',
-      chrome_android: '21',
-      edge: '12',
-      firefox: '20',
-      firefox_android: '20',
-      safari: '9',
-      safari_ios: '9'
-    }
-  },
-  'css.properties.display': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.color': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.background-color': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.padding': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.border-radius': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '4',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '4',
-      firefox_android: '4',
-      safari: '5',
-      safari_ios: '4'
-    }
-  },
-  'css.properties.transition': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '26',
-      chrome_android: '26',
-      edge: '12',
-      firefox: '16',
-      firefox_android: '16',
-      safari: '6.1',
-      safari_ios: '7'
-    }
-  },
-  'css.properties.transform': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '36',
-      chrome_android: '36',
-      edge: '12',
-      firefox: '16',
-      firefox_android: '16',
-      safari: '9',
-      safari_ios: '9'
-    }
-  },
-  'css.properties.border': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.margin': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.width': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.height': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.color-scheme': { 
-    baseline: 'low', 
-    baseline_low_date: '2021-03-09',
-    support: {
-      chrome: '81',
-      chrome_android: '81',
-      edge: '81',
-      firefox: '96',
-      firefox_android: '96',
-      safari: '13',
-      safari_ios: '13'
-    }
-  },
-  'css.properties.scroll-behavior': { 
-    baseline: 'low', 
-    baseline_low_date: '2018-12-18',
-    support: {
-      chrome: '61',
-      chrome_android: '61',
-      edge: '79',
-      firefox: '36',
-      firefox_android: '36',
-      safari: '14',
-      safari_ios: '14'
-    }
-  },
-  'css.properties.background': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.font-size': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.font-family': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.font-weight': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.text-align': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.position': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.z-index': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.opacity': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.overflow': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.cursor': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.box-shadow': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '10',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '4',
-      firefox_android: '4',
-      safari: '5.1',
-      safari_ios: '5'
-    }
-  },
-  'css.properties.box-sizing': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '10',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '29',
-      firefox_android: '29',
-      safari: '5.1',
-      safari_ios: '5'
-    }
-  },
-  'css.properties.text-decoration': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.line-height': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.float': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.min-height': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.max-width': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.min-width': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.max-height': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.letter-spacing': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.vertical-align': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'css.properties.backdrop-filter': { 
-    baseline: 'low', 
-    baseline_low_date: '2024-09-16',
-    support: {
-      chrome: '76',
-      chrome_android: '76',
-      edge: '79',
-      firefox: '103',
-      firefox_android: '103',
-      safari: '18',
-      safari_ios: '18'
-    }
-  },
-  'css.properties.aspect-ratio': { 
-    baseline: 'low', 
-    baseline_low_date: '2021-09-21',
-    support: {
-      chrome: '88',
-      chrome_android: '88',
-      edge: '88',
-      firefox: '89',
-      firefox_android: '89',
-      safari: '15',
-      safari_ios: '15'
-    }
-  },
-  'css.properties.word-break': { 
-    baseline: 'high', 
-    baseline_high_date: '2013-07-02',
-    support: {
-      chrome: '18',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '15',
-      firefox_android: '15',
-      safari: '6.1',
-      safari_ios: '7'
-    }
-  },
-  'css.properties.word-break.auto-phrase': { 
-    baseline: false,
-    baseline_high_date: null,
-    support: {
-      chrome: '119',
-      chrome_android: '119',
-      edge: '119',
-      firefox: null,
-      firefox_android: null,
-      safari: null,
-      safari_ios: null
-    }
-  },
-  'css.properties.container-type': { 
-    baseline: 'low', 
-    baseline_low_date: '2023-02-14',
-    support: {
-      chrome: '105',
-      chrome_android: '105',
-      edge: '105',
-      firefox: '110',
-      firefox_android: '110',
-      safari: '16',
-      safari_ios: '16'
-    }
-  },
-  'css.properties.container-type.inline-size': { 
-    baseline: 'low', 
-    baseline_low_date: '2023-02-14',
-    support: {
-      chrome: '105',
-      chrome_android: '105',
-      edge: '105',
-      firefox: '110',
-      firefox_android: '110',
-      safari: '16',
-      safari_ios: '16'
-    }
-  },
-  'css.properties.--primary-color': { 
-    baseline: 'high', 
-    baseline_high_date: '2017-10-31',
-    support: {
-      chrome: '49',
-      chrome_android: '49',
-      edge: '15',
-      firefox: '31',
-      firefox_android: '31',
-      safari: '9.1',
-      safari_ios: '9.3'
-    }
-  },
-  'css.properties.--secondary-color': { 
-    baseline: 'high', 
-    baseline_high_date: '2017-10-31',
-    support: {
-      chrome: '49',
-      chrome_android: '49',
-      edge: '15',
-      firefox: '31',
-      firefox_android: '31',
-      safari: '9.1',
-      safari_ios: '9.3'
-    }
-  },
-  'css.properties.--success-color': { 
-    baseline: 'high', 
-    baseline_high_date: '2017-10-31',
-    support: {
-      chrome: '49',
-      chrome_android: '49',
-      edge: '15',
-      firefox: '31',
-      firefox_android: '31',
-      safari: '9.1',
-      safari_ios: '9.3'
-    }
-  }
-};
-
-/**
- * Fallback mappings for common JavaScript APIs that should be widely supported
- */
-const JS_FALLBACKS = {
-  'javascript.builtins.console': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '4',
-      firefox_android: '4',
-      safari: '3',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Promise': { 
-    baseline: 'high', 
-    baseline_high_date: '2015-06-01',
-    support: {
-      chrome: '32',
-      chrome_android: '32',
-      edge: '12',
-      firefox: '29',
-      firefox_android: '29',
-      safari: '8',
-      safari_ios: '8'
-    }
-  },
-  'javascript.builtins.Symbol': { 
-    baseline: 'high', 
-    baseline_high_date: '2015-06-01',
-    support: {
-      chrome: '38',
-      chrome_android: '38',
-      edge: '12',
-      firefox: '36',
-      firefox_android: '36',
-      safari: '9',
-      safari_ios: '9'
-    }
-  },
-  'javascript.builtins.setTimeout': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.document': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.window': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Array': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Object': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.String': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Number': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Boolean': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Date': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.Math': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '1',
-      firefox_android: '4',
-      safari: '1',
-      safari_ios: '1'
-    }
-  },
-  'javascript.builtins.JSON': { 
-    baseline: 'high', 
-    baseline_high_date: '2012-01-01',
-    support: {
-      chrome: '1',
-      chrome_android: '18',
-      edge: '12',
-      firefox: '3.5',
-      firefox_android: '4',
-      safari: '4',
-      safari_ios: '4'
-    }
-  },
-  'javascript.builtins.fetch': { 
-    baseline: 'high', 
-    baseline_high_date: '2015-05-26',
-    support: {
-      chrome: '42',
-      chrome_android: '42',
-      edge: '14',
-      firefox: '39',
-      firefox_android: '39',
-      safari: '10.1',
-      safari_ios: '10.3'
-    }
-  },
-  'javascript.builtins.Array.prototype.flat': { 
-    baseline: 'low', 
-    baseline_low_date: '2018-12-18',
-    support: {
-      chrome: '69',
-      chrome_android: '69',
-      edge: '79',
-      firefox: '62',
-      firefox_android: '62',
-      safari: '12',
-      safari_ios: '12'
-    }
-  },
-  'javascript.builtins.String.prototype.replaceAll': { 
-    baseline: 'low', 
-    baseline_low_date: '2020-06-02',
-    support: {
-      chrome: '85',
-      chrome_android: '85',
-      edge: '85',
-      firefox: '77',
-      firefox_android: '77',
-      safari: '13.1',
-      safari_ios: '13.4'
-    }
-  },
-  'javascript.builtins.Promise.allSettled': { 
-    baseline: 'low', 
-    baseline_low_date: '2019-12-10',
-    support: {
-      chrome: '76',
-      chrome_android: '76',
-      edge: '79',
-      firefox: '71',
-      firefox_android: '71',
-      safari: '13',
-      safari_ios: '13'
-    }
-  },
-  'javascript.builtins.BigInt': { 
-    baseline: 'low', 
-    baseline_low_date: '2018-12-18',
-    support: {
-      chrome: '67',
-      chrome_android: '67',
-      edge: '79',
-      firefox: '68',
-      firefox_android: '68',
-      safari: '14',
-      safari_ios: '14'
-    }
-  },
-  'javascript.builtins.globalThis': { 
-    baseline: 'low', 
-    baseline_low_date: '2019-12-10',
-    support: {
-      chrome: '71',
-      chrome_android: '71',
-      edge: '79',
-      firefox: '65',
-      firefox_android: '65',
-      safari: '12.1',
-      safari_ios: '12.2'
-    }
-  }
-};
-
 /**
  * Baseline levels
  */
@@ -937,7 +67,27 @@ export function getFeatureStatus(featureId) {
 }
 
 /**
- * Get Baseline status for a specific BCD key with caching and timeout
+ * Expand a status index entry into the compute-baseline getStatus() shape
+ */
+function decodeStatus([baseline, baselineLowDate, baselineHighDate, versions]) {
+  const support = {};
+  versions.split(',').forEach((version, index) => {
+    if (version) {
+      support[STATUS_INDEX_META.browsers[index]] = version;
+    }
+  });
+
+  if (baseline === 'high') {
+    return { baseline, baseline_low_date: baselineLowDate, baseline_high_date: baselineHighDate, support };
+  }
+  if (baseline === 'low') {
+    return { baseline, baseline_low_date: baselineLowDate, support };
+  }
+  return { baseline, support };
+}
+
+/**
+ * Get Baseline status for a specific BCD key with caching
  */
 export function getBCDKeyStatus(bcdKey) {
   logger.debug(`Getting BCD key status: ${bcdKey}`);
@@ -957,71 +107,64 @@ export function getBCDKeyStatus(bcdKey) {
     return mockStatus;
   }
   
-  try {
-    const status = getStatus(null, bcdKey);
-    if (status) {
-      bcdCache.set(bcdKey, status);
-      logger.debug(`Cached BCD key status: ${bcdKey}`, { baseline: status?.baseline });
-      return status;
-    }
-  } catch (error) {
-    logger.debug(`Failed to get BCD key status: ${bcdKey}`, { error: error.message });
-  }
-
-  // Use fallback data for common features
-  const fallback = CSS_FALLBACKS[bcdKey] || JS_FALLBACKS[bcdKey];
-  if (fallback) {
-    logger.debug(`Using fallback data for: ${bcdKey}`, { baseline: fallback?.baseline });
-    bcdCache.set(bcdKey, fallback);
-    return fallback;
-  }
-  
-  // Handle common CSS properties that might not be explicitly defined
-  if (bcdKey.startsWith('css.properties.')) {
-    // Extract just the property name
-    const property = bcdKey.replace('css.properties.', '');
-    
-    // List of common CSS properties that are widely supported
-    const commonCssProperties = [
-      'background', 'border-radius', 'padding', 'margin',
-      'font', 'color', 'display', 'position', 'text-align',
-      'width', 'height', 'overflow', 'border', 'float',
-      'line-height', 'z-index', 'text-decoration', 'background-color',
-      'font-size', 'font-weight', 'opacity', 'cursor', 'box-sizing',
-      'box-shadow', 'transition', 'transform', 'vertical-align', 'letter-spacing'
-    ];
-    
-    if (commonCssProperties.includes(property)) {
-      const commonFallback = {
-        baseline: 'high',
-        baseline_high_date: '2012-01-01',
-        support: {
-          chrome: '1',
-          chrome_android: '18',
-          edge: '12',
-          firefox: '1',
-          firefox_android: '4',
-          safari: '1',
-          safari_ios: '1'
-        }
-      };
-      
-      logger.debug(`Using common property fallback for: ${bcdKey}`, { baseline: commonFallback.baseline });
-      bcdCache.set(bcdKey, commonFallback);
-      return commonFallback;
-    }
+  // Answer from the generated status index (scripts/generate-status-index.js)
+  if (hasBCDKey(bcdKey)) {
+    const status = decodeStatus(STATUS_INDEX[bcdKey]);
+    bcdCache.set(bcdKey, status);
+    logger.debug(`Cached BCD key status: ${bcdKey}`, { baseline: status.baseline });
+    return status;
   }
 
-  // Return null for truly unknown features
-  logger.debug(`No fallback data available for: ${bcdKey}`);
+  // Return null for keys BCD does not know
+  logger.debug(`No status available for: ${bcdKey}`);
   bcdCache.set(bcdKey, null);
   return null;
 }
 
+/**
+ * Check whether BCD has a key, e.g. api.Clipboard.writeText
+ */
+export function hasBCDKey(bcdKey) {
+  return Object.hasOwn(STATUS_INDEX, bcdKey);
+}
+
+/**
+ * Look up a vendor-prefixed or alternative CSS name, e.g. css.properties.-webkit-line-clamp,
+ * returning its unprefixed BCD key and the status of the prefixed form itself
+ */
+function getPrefixedStatus(prefixedKey) {
+  if (!Object.hasOwn(PREFIX_INDEX, prefixedKey)) {
+    return null;
+  }
+
+  const [bcdKey, ...status] = PREFIX_INDEX[prefixedKey];
+  return { bcdKey, status: decodeStatus(status) };
+}
+
+/**
+ * Get the unprefixed name of a vendor-prefixed CSS property, or null
+ */
+export function getUnprefixedCSSProperty(property) {
+  const prefixed = getPrefixedStatus(`css.properties.${property}`);
+  return prefixed ? prefixed.bcdKey.replace('css.properties.', '') : null;
+}
+
 /**
  * Check CSS property-value pair
  */
 export function checkCSSPropertyValue(property, value) {
+  // Custom properties (--name) all share one BCD entry
+  if (property.startsWith('--')) {
+    const customPropertyKey = 'css.properties.custom-property';
+    return {
+      type: 'property',
+      bcdKey: customPropertyKey,
+      status: getBCDKeyStatus(customPropertyKey),
+      property,
+      value
+    };
+  }
+
   // First try property-value combination
   if (value) {
     const propertyValueKey = `css.properties.${property}.${value}`;
@@ -1036,11 +179,39 @@ export function checkCSSPropertyValue(property, value) {
         value
       };
     }
+
+    // Vendor-prefixed values, e.g. display: -webkit-flex
+    const prefixedValue = getPrefixedStatus(propertyValueKey);
+    if (prefixedValue) {
+      return {
+        type: 'prefixed-value',
+        bcdKey: prefixedValue.bcdKey,
+        status: prefixedValue.status,
+        property,
+        value,
+        prefixed: value
+      };
+    }
   }
 
   // Fall back to property-level check
   const propertyKey = `css.properties.${property}`;
   const propertyStatus = getBCDKeyStatus(propertyKey);
+
+  // Vendor-prefixed and alternative property names, e.g. -webkit-backdrop-filter
+  if (!propertyStatus) {
+    const prefixedProperty = getPrefixedStatus(propertyKey);
+    if (prefixedProperty) {
+      return {
+        type: 'prefixed-property',
+        bcdKey: prefixedProperty.bcdKey,
+        status: prefixedProperty.status,
+        property,
+        value,
+        prefixed: property
+      };
+    }
+  }
   
   return {
     type: 'property',
@@ -1051,6 +222,105 @@ export function checkCSSPropertyValue(property, value) {
   };
 }
 
+/**
+ * Check CSS at-rule usage, optionally narrowed to a descriptor or prelude sub-feature
+ */
+export function checkCSSAtRule(atRule, subfeature = null) {
+  // First try the sub-feature (e.g. css.at-rules.font-face.font-display)
+  if (subfeature) {
+    const subfeatureKey = `css.at-rules.${atRule}.${subfeature}`;
+    const subfeatureStatus = getBCDKeyStatus(subfeatureKey);
+    
+    if (subfeatureStatus) {
+      return {
+        type: 'at-rule-subfeature',
+        bcdKey: subfeatureKey,
+        status: subfeatureStatus,
+        atRule,
+        subfeature
+      };
+    }
+  }
+
+  // Fall back to at-rule-level check
+  const atRuleKey = `css.at-rules.${atRule}`;
+  const atRuleStatus = getBCDKeyStatus(atRuleKey);
+  
+  return {
+    type: 'at-rule',
+    bcdKey: atRuleKey,
+    status: atRuleStatus,
+    atRule,
+    subfeature
+  };
+}
+
+/**
+ * Check CSS selector usage (pseudo-classes, pseudo-elements, combinators, nesting)
+ */
+export function checkCSSSelector(selector, subfeature = null) {
+  // First try the sub-feature (e.g. css.selectors.not.selector_list)
+  if (subfeature) {
+    const subfeatureKey = `css.selectors.${selector}.${subfeature}`;
+    const subfeatureStatus = getBCDKeyStatus(subfeatureKey);
+    
+    if (subfeatureStatus) {
+      return {
+        type: 'selector-subfeature',
+        bcdKey: subfeatureKey,
+        status: subfeatureStatus,
+        selector,
+        subfeature
+      };
+    }
+  }
+
+  // Fall back to selector-level check
+  const selectorKey = `css.selectors.${selector}`;
+  const selectorStatus = getBCDKeyStatus(selectorKey);
+  
+  return {
+    type: 'selector',
+    bcdKey: selectorKey,
+    status: selectorStatus,
+    selector,
+    subfeature
+  };
+}
+
+/**
+ * Check CSS value type usage (e.g. css.types.color.oklch or css.types.clamp)
+ */
+export function checkCSSType(type, subfeature = null) {
+  // First try the sub-feature (e.g. css.types.color.oklch.relative_syntax)
+  if (subfeature) {
+    const subfeatureKey = `css.types.${type}.${subfeature}`;
+    const subfeatureStatus = getBCDKeyStatus(subfeatureKey);
+    
+    if (subfeatureStatus) {
+      return {
+        type: 'type-subfeature',
+        bcdKey: subfeatureKey,
+        status: subfeatureStatus,
+        cssType: type,
+        subfeature
+      };
+    }
+  }
+
+  // Fall back to type-level check
+  const typeKey = `css.types.${type}`;
+  const typeStatus = getBCDKeyStatus(typeKey);
+  
+  return {
+    type: 'type',
+    bcdKey: typeKey,
+    status: typeStatus,
+    cssType: type,
+    subfeature
+  };
+}
+
 /**
  * Check JavaScript API usage
  */
@@ -1066,25 +336,97 @@ export function checkJavaScriptAPI(apiPath) {
   };
 }
 
+/**
+ * Check ECMAScript syntax usage, e.g. operators.optional_chaining -> javascript.operators.optional_chaining
+ */
+export function checkJavaScriptSyntax(feature) {
+  const bcdKey = `javascript.${feature}`;
+  const status = getBCDKeyStatus(bcdKey);
+  
+  return {
+    type: 'javascript-syntax',
+    bcdKey,
+    status,
+    feature
+  };
+}
+
+/**
+ * Check an HTML element, e.g. dialog -> html.elements.dialog. Returns null for
+ * names without BCD data (custom elements, SVG children).
+ */
+export function checkHTMLElement(element) {
+  const bcdKey = `html.elements.${element}`;
+  if (!hasBCDKey(bcdKey)) return null;
+  
+  return {
+    type: 'html-element',
+    bcdKey,
+    status: getBCDKeyStatus(bcdKey),
+    element
+  };
+}
+
+/**
+ * Check an HTML attribute: the element's own (img loading ->
+ * html.elements.img.loading), else the global one (popover ->
+ * html.global_attributes.popover). Values with their own entry are checked at
+ * that level, e.g. script type="importmap" or input type="color". Returns null
+ * for attributes without BCD data.
+ */
+export function checkHTMLAttribute(element, attribute, value = null) {
+  const name = attribute.startsWith('data-') ? 'data_attributes' : attribute;
+  const base = [`html.elements.${element}.${name}`, `html.global_attributes.${name}`].find(hasBCDKey);
+  
+  // Keyword values: hidden="until-found", script type="module", input type="color"
+  const keyword = value?.trim().toLowerCase();
+  const valueKey = keyword && /^[a-z][\w-]*$/.test(keyword)
+    ? [base && `${base}.${keyword}`, `html.elements.${element}.${name}_${keyword}`].find(key => key && hasBCDKey(key))
+    : null;
+  const bcdKey = valueKey || base;
+  if (!bcdKey) return null;
+  
+  return {
+    type: valueKey ? 'html-attribute-value' : 'html-attribute',
+    bcdKey,
+    status: getBCDKeyStatus(bcdKey),
+    element,
+    attribute,
+    value
+  };
+}
+
+/**
+ * Check web platform API usage, e.g. Clipboard.writeText -> api.Clipboard.writeText
+ */
+export function checkWebAPI(apiPath) {
+  const bcdKey = `api.${apiPath}`;
+  const status = getBCDKeyStatus(bcdKey);
+  
+  return {
+    type: 'web-api',
+    bcdKey,
+    status,
+    apiPath
+  };
+}
+
 /**
  * Convert JavaScript API path to BCD key format
  */
 function convertAPIPathToBCDKey(apiPath) {
-  // Array.at -> javascript.builtins.Array.at
+  // Array.prototype.at -> javascript.builtins.Array.at
   // Promise.try -> javascript.builtins.Promise.try
-  // structuredClone -> javascript.builtins.structuredClone
+  // structuredClone -> api.structuredClone (web platform globals live under api.*)
   
-  if (apiPath.includes('.prototype.')) {
-    const [obj, , method] = apiPath.split('.');
-    return `javascript.builtins.${obj}.${method}`;
-  }
+  // Intl.Segmenter.prototype.segment -> javascript.builtins.Intl.Segmenter.segment
+  const path = apiPath.replace('.prototype.', '.');
   
-  if (apiPath.includes('.')) {
-    const parts = apiPath.split('.');
-    return `javascript.builtins.${parts.join('.')}`;
+  const builtinKey = `javascript.builtins.${path}`;
+  if (!hasBCDKey(builtinKey) && hasBCDKey(`api.${path}`)) {
+    return `api.${path}`;
   }
-  
-  return `javascript.builtins.${apiPath}`;
+  return builtinKey;
 }
 
 /**
@@ -1095,7 +437,8 @@ export function generateReport(result, requiredLevel) {
     return {
       severity: 'warning',
       message: `Unknown Baseline status - API may not be widely supported`,
-      compatible: false
+      compatible: false,
+      bcdKey: result.bcdKey
     };
   }
 
@@ -1122,6 +465,14 @@ export function generateReport(result, requiredLevel) {
     }
   }
 
+  // Prefixed forms only work in the browsers that shipped the prefix
+  if (result.prefixed) {
+    const browsers = Object.entries(result.status.support)
+      .map(([browser, version]) => `${browser} ${version}`)
+      .join(', ');
+    message += ` - prefixed ${result.prefixed} covers ${browsers || 'no core browsers'}`;
+  }
+
   return {
     severity,
     message,
@@ -1136,13 +487,16 @@ export function generateReport(result, requiredLevel) {
  * Calculate Baseline score (0-100)
  */
 export function calculateScore(results) {
+  // Snippets that couldn't be parsed have no features to score
+  results = results.filter(result => !result.parseError);
   if (results.length === 0) return 100;
 
   const weights = {
     widely: 1.0,    // High baseline - widely supported
     newly: 0.7,     // Low baseline - newly available  
     limited: 0.3,   // False baseline - limited support
-    unknown: 0.5    // Undefined baseline - unknown status
+    unknown: 0.5,   // Undefined baseline - unknown status
+    guarded: 0.9    // Behind a feature check (e.g. @supports) - progressive enhancement
   };
 
   let totalWeight = 0;
@@ -1151,16 +505,25 @@ export function calculateScore(results) {
   results.forEach(result => {
     // Handle both formats: result.status.baseline and result.baseline
     const baseline = result.status?.baseline || result.baseline;
+    let weight;
     if (baseline === 'high') {
-      totalWeight += weights.widely;
+      weight = weights.widely;
     } else if (baseline === 'low') {
-      totalWeight += weights.newly;
+      weight = weights.newly;
     } else if (baseline === false) {
-      totalWeight += weights.limited;
+      weight = weights.limited;
     } else {
       // Undefined/unknown baseline status
-      totalWeight += weights.unknown;
+      weight = weights.unknown;
     }
+    
+    // Guarded usages, usages with a fallback and prefixed forms next to their
+    // unprefixed twin degrade gracefully, so they never weigh less than the guarded weight
+    if (result.guarded || result.hasFallback || result.unprefixedTwin) {
+      weight = Math.max(weight, weights.guarded);
+    }
+    
+    totalWeight += weight;
   });
 
   return Math.round((totalWeight / totalPossible) * 100);
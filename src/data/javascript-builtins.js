@@ -0,0 +1,85 @@
+// src/data/javascript-builtins.js
+// Generated by scripts/generate-status-index.js - do not edit by hand
+
+/**
+ * javascript.builtins.* global -> { kind, static, prototype, methods }, where
+ * kind is constructor, namespace, function, value or intrinsic (no global
+ * binding, e.g. TypedArray), static/prototype list the member names and methods
+ * the prototype members that are neither accessors nor deprecated
+ */
+export const JS_BUILTINS = {
+"AggregateError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Array":{"kind":"constructor","static":["from","fromAsync","isArray","of"],"prototype":["at","concat","copyWithin","entries","every","fill","filter","find","findIndex","findLast","findLastIndex","flat","flatMap","forEach","includes","indexOf","join","keys","lastIndexOf","length","map","pop","push","reduce","reduceRight","reverse","shift","slice","some","sort","splice","toLocaleString","toReversed","toSorted","toSpliced","toString","unshift","values","with"],"methods":["at","concat","copyWithin","entries","every","fill","filter","find","findIndex","findLast","findLastIndex","flat","flatMap","forEach","includes","indexOf","join","keys","lastIndexOf","map","pop","push","reduce","reduceRight","reverse","shift","slice","some","sort","splice","toLocaleString","toReversed","toSorted","toSpliced","toString","unshift","values","with"]},
+"ArrayBuffer":{"kind":"constructor","static":["isView"],"prototype":["byteLength","detached","maxByteLength","resizable","resize","slice","transfer","transferToFixedLength"],"methods":["resize","slice","transfer","transferToFixedLength"]},
+"AsyncDisposableStack":{"kind":"constructor","static":[],"prototype":["adopt","defer","disposeAsync","disposed","move","use"],"methods":["adopt","defer","disposeAsync","move","use"]},
+"AsyncFunction":{"kind":"intrinsic","static":[],"prototype":[],"methods":[]},
+"AsyncGenerator":{"kind":"intrinsic","static":[],"prototype":["next","return","throw"],"methods":["next","return","throw"]},
+"AsyncGeneratorFunction":{"kind":"intrinsic","static":[],"prototype":[],"methods":[]},
+"AsyncIterator":{"kind":"intrinsic","static":[],"prototype":[],"methods":[]},
+"Atomics":{"kind":"namespace","static":["add","and","compareExchange","exchange","isLockFree","load","notify","or","pause","store","sub","wait","waitAsync","xor"],"prototype":[],"methods":[]},
+"BigInt":{"kind":"constructor","static":["asIntN","asUintN"],"prototype":["toLocaleString","toString","valueOf"],"methods":["toLocaleString","toString","valueOf"]},
+"BigInt64Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"BigUint64Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Boolean":{"kind":"constructor","static":[],"prototype":["toString","valueOf"],"methods":["toString","valueOf"]},
+"DataView":{"kind":"constructor","static":[],"prototype":["buffer","byteLength","byteOffset","getBigInt64","getBigUint64","getFloat16","getFloat32","getFloat64","getInt16","getInt32","getInt8","getUint16","getUint32","getUint8","setBigInt64","setBigUint64","setFloat16","setFloat32","setFloat64","setInt16","setInt32","setInt8","setUint16","setUint32","setUint8"],"methods":["getBigInt64","getBigUint64","getFloat16","getFloat32","getFloat64","getInt16","getInt32","getInt8","getUint16","getUint32","getUint8","setBigInt64","setBigUint64","setFloat16","setFloat32","setFloat64","setInt16","setInt32","setInt8","setUint16","setUint32","setUint8"]},
+"Date":{"kind":"constructor","static":["UTC","now","parse"],"prototype":["getDate","getDay","getFullYear","getHours","getMilliseconds","getMinutes","getMonth","getSeconds","getTime","getTimezoneOffset","getUTCDate","getUTCDay","getUTCFullYear","getUTCHours","getUTCMilliseconds","getUTCMinutes","getUTCMonth","getUTCSeconds","getYear","setDate","setFullYear","setHours","setMilliseconds","setMinutes","setMonth","setSeconds","setTime","setUTCDate","setUTCFullYear","setUTCHours","setUTCMilliseconds","setUTCMinutes","setUTCMonth","setUTCSeconds","setYear","toDateString","toGMTString","toISOString","toJSON","toLocaleDateString","toLocaleString","toLocaleTimeString","toString","toTemporalInstant","toTimeString","toUTCString","valueOf"],"methods":["getDate","getDay","getFullYear","getHours","getMilliseconds","getMinutes","getMonth","getSeconds","getTime","getTimezoneOffset","getUTCDate","getUTCDay","getUTCFullYear","getUTCHours","getUTCMilliseconds","getUTCMinutes","getUTCMonth","getUTCSeconds","setDate","setFullYear","setHours","setMilliseconds","setMinutes","setMonth","setSeconds","setTime","setUTCDate","setUTCFullYear","setUTCHours","setUTCMilliseconds","setUTCMinutes","setUTCMonth","setUTCSeconds","toDateString","toISOString","toJSON","toLocaleDateString","toLocaleString","toLocaleTimeString","toString","toTemporalInstant","toTimeString","toUTCString","valueOf"]},
+"DisposableStack":{"kind":"constructor","static":[],"prototype":["adopt","defer","dispose","disposed","move","use"],"methods":["adopt","defer","dispose","move","use"]},
+"Error":{"kind":"constructor","static":["isError"],"prototype":["message","name","toString"],"methods":["message","name","toString"]},
+"EvalError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"FinalizationRegistry":{"kind":"constructor","static":[],"prototype":["register","unregister"],"methods":["register","unregister"]},
+"Float16Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Float32Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Float64Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Function":{"kind":"constructor","static":[],"prototype":["apply","bind","call","length","name","toString"],"methods":["apply","bind","call","toString"]},
+"Generator":{"kind":"intrinsic","static":[],"prototype":["next","return","throw"],"methods":["next","return","throw"]},
+"GeneratorFunction":{"kind":"intrinsic","static":[],"prototype":[],"methods":[]},
+"Infinity":{"kind":"value","static":[],"prototype":[],"methods":[]},
+"Int16Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Int32Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Int8Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"InternalError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Intl":{"kind":"namespace","static":["Collator","DateTimeFormat","DisplayNames","DurationFormat","ListFormat","Locale","NumberFormat","PluralRules","RelativeTimeFormat","Segmenter","Segments","getCanonicalLocales","supportedValuesOf"],"prototype":[],"methods":[]},
+"Iterator":{"kind":"constructor","static":["from"],"prototype":["drop","every","filter","find","flatMap","forEach","map","reduce","some","take","toArray"],"methods":["drop","every","filter","find","flatMap","forEach","map","reduce","some","take","toArray"]},
+"JSON":{"kind":"namespace","static":["isRawJSON","parse","rawJSON","stringify"],"prototype":[],"methods":[]},
+"Map":{"kind":"constructor","static":["groupBy"],"prototype":["clear","delete","entries","forEach","get","getOrInsert","getOrInsertComputed","has","keys","set","size","values"],"methods":["clear","delete","entries","forEach","get","getOrInsert","getOrInsertComputed","has","keys","set","values"]},
+"Math":{"kind":"namespace","static":["E","LN10","LN2","LOG10E","LOG2E","PI","SQRT1_2","SQRT2","abs","acos","acosh","asin","asinh","atan","atan2","atanh","cbrt","ceil","clz32","cos","cosh","exp","expm1","f16round","floor","fround","hypot","imul","log","log10","log1p","log2","max","min","pow","random","round","sign","sin","sinh","sqrt","sumPrecise","tan","tanh","trunc"],"prototype":[],"methods":[]},
+"NaN":{"kind":"value","static":[],"prototype":[],"methods":[]},
+"Number":{"kind":"constructor","static":["EPSILON","MAX_SAFE_INTEGER","MAX_VALUE","MIN_SAFE_INTEGER","MIN_VALUE","NEGATIVE_INFINITY","NaN","POSITIVE_INFINITY","isFinite","isInteger","isNaN","isSafeInteger","parseFloat","parseInt"],"prototype":["toExponential","toFixed","toLocaleString","toPrecision","toString","valueOf"],"methods":["toExponential","toFixed","toLocaleString","toPrecision","toString","valueOf"]},
+"Object":{"kind":"constructor","static":["assign","create","defineProperties","defineProperty","entries","freeze","fromEntries","getOwnPropertyDescriptor","getOwnPropertyDescriptors","getOwnPropertyNames","getOwnPropertySymbols","getPrototypeOf","groupBy","hasOwn","is","isExtensible","isFrozen","isSealed","keys","preventExtensions","seal","setPrototypeOf","values"],"prototype":["constructor","defineGetter","defineSetter","hasOwnProperty","isPrototypeOf","lookupGetter","lookupSetter","propertyIsEnumerable","proto","toLocaleString","toString","valueOf"],"methods":["constructor","hasOwnProperty","isPrototypeOf","propertyIsEnumerable","toLocaleString","toString","valueOf"]},
+"Promise":{"kind":"constructor","static":["all","allSettled","any","race","reject","resolve","try","withResolvers"],"prototype":["catch","finally","then"],"methods":["catch","finally","then"]},
+"Proxy":{"kind":"constructor","static":["revocable"],"prototype":[],"methods":[]},
+"RangeError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"ReferenceError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Reflect":{"kind":"namespace","static":["apply","construct","defineProperty","deleteProperty","get","getOwnPropertyDescriptor","getPrototypeOf","has","isExtensible","ownKeys","preventExtensions","set","setPrototypeOf"],"prototype":[],"methods":[]},
+"RegExp":{"kind":"constructor","static":["escape"],"prototype":["compile","dotAll","exec","flags","global","hasIndices","ignoreCase","lastIndex","multiline","source","sticky","test","toString","unicode","unicodeSets"],"methods":["exec","test","toString"]},
+"Set":{"kind":"constructor","static":[],"prototype":["add","clear","delete","difference","entries","forEach","has","intersection","isDisjointFrom","isSubsetOf","isSupersetOf","keys","size","symmetricDifference","union","values"],"methods":["add","clear","delete","difference","entries","forEach","has","intersection","isDisjointFrom","isSubsetOf","isSupersetOf","keys","symmetricDifference","union","values"]},
+"SharedArrayBuffer":{"kind":"constructor","static":[],"prototype":["byteLength","grow","growable","maxByteLength","slice"],"methods":["grow","slice"]},
+"String":{"kind":"constructor","static":["fromCharCode","fromCodePoint","raw"],"prototype":["anchor","at","big","blink","bold","charAt","charCodeAt","codePointAt","concat","endsWith","fixed","fontcolor","fontsize","includes","indexOf","isWellFormed","italics","lastIndexOf","length","link","localeCompare","match","matchAll","normalize","padEnd","padStart","repeat","replace","replaceAll","search","slice","small","split","startsWith","strike","sub","substr","substring","sup","toLocaleLowerCase","toLocaleUpperCase","toLowerCase","toString","toUpperCase","toWellFormed","trim","trimEnd","trimStart","valueOf"],"methods":["at","charAt","charCodeAt","codePointAt","concat","endsWith","includes","indexOf","isWellFormed","lastIndexOf","localeCompare","match","matchAll","normalize","padEnd","padStart","repeat","replace","replaceAll","search","slice","split","startsWith","substring","toLocaleLowerCase","toLocaleUpperCase","toLowerCase","toString","toUpperCase","toWellFormed","trim","trimEnd","trimStart","valueOf"]},
+"SuppressedError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Symbol":{"kind":"constructor","static":["asyncDispose","asyncIterator","dispose","for","hasInstance","isConcatSpreadable","iterator","keyFor","match","matchAll","replace","search","species","split","toPrimitive","toStringTag","unscopables"],"prototype":["description","toString","valueOf"],"methods":["toString","valueOf"]},
+"SyntaxError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Temporal":{"kind":"namespace","static":["Duration","Instant","Now","PlainDate","PlainDateTime","PlainMonthDay","PlainTime","PlainYearMonth","ZonedDateTime"],"prototype":[],"methods":[]},
+"TypeError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"TypedArray":{"kind":"intrinsic","static":["BYTES_PER_ELEMENT","from","of"],"prototype":["at","buffer","byteLength","byteOffset","copyWithin","entries","every","fill","filter","find","findIndex","findLast","findLastIndex","forEach","includes","indexOf","join","keys","lastIndexOf","length","map","reduce","reduceRight","reverse","set","slice","some","sort","subarray","toLocaleString","toReversed","toSorted","toString","values","with"],"methods":["at","copyWithin","entries","every","fill","filter","find","findIndex","findLast","findLastIndex","forEach","includes","indexOf","join","keys","lastIndexOf","map","reduce","reduceRight","reverse","set","slice","some","sort","subarray","toLocaleString","toReversed","toSorted","toString","values","with"]},
+"URIError":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Uint16Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Uint32Array":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"Uint8Array":{"kind":"constructor","static":["fromBase64","fromHex"],"prototype":["setFromBase64","setFromHex","toBase64","toHex"],"methods":["setFromBase64","setFromHex","toBase64","toHex"]},
+"Uint8ClampedArray":{"kind":"constructor","static":[],"prototype":[],"methods":[]},
+"WeakMap":{"kind":"constructor","static":[],"prototype":["delete","get","getOrInsert","getOrInsertComputed","has","set"],"methods":["delete","get","getOrInsert","getOrInsertComputed","has","set"]},
+"WeakRef":{"kind":"constructor","static":[],"prototype":["deref"],"methods":["deref"]},
+"WeakSet":{"kind":"constructor","static":[],"prototype":["add","delete","has"],"methods":["add","delete","has"]},
+"decodeURI":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"decodeURIComponent":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"encodeURI":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"encodeURIComponent":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"escape":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"eval":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"globalThis":{"kind":"value","static":[],"prototype":[],"methods":[]},
+"isFinite":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"isNaN":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"parseFloat":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"parseInt":{"kind":"function","static":[],"prototype":[],"methods":[]},
+"undefined":{"kind":"value","static":[],"prototype":[],"methods":[]},
+"unescape":{"kind":"function","static":[],"prototype":[],"methods":[]},
+};
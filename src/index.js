@@ -3,13 +3,22 @@
 
 import { analyzeCSSContent, analyzeCSSFile, formatIssues } from './parsers/css-parser.js';
 import { analyzeJSContent, analyzeJSFile, formatJSIssues } from './parsers/js-parser.js';
+import { analyzeHTMLContent, analyzeHTMLFile, formatHTMLIssues } from './parsers/html-parser.js';
+import { analyzeSFCContent, analyzeSFCFile } from './parsers/sfc-parser.js';
 import { 
   getFeatureStatus,
   getFeaturesByStatus,
   getFeaturesByGroup,
   searchFeatures,
   checkCSSPropertyValue,
+  checkCSSAtRule,
+  checkCSSSelector,
+  checkCSSType,
   checkJavaScriptAPI,
+  checkJavaScriptSyntax,
+  checkWebAPI,
+  checkHTMLElement,
+  checkHTMLAttribute,
   generateReport,
   calculateScore,
   meetsBaselineLevel,
@@ -95,13 +104,29 @@ export {
   analyzeJSFile,
   formatJSIssues,
   
+  // HTML Analysis
+  analyzeHTMLContent,
+  analyzeHTMLFile,
+  formatHTMLIssues,
+  
+  // Single-file Component Analysis
+  analyzeSFCContent,
+  analyzeSFCFile,
+  
   // Core checking functions
   getFeatureStatus,
   getFeaturesByStatus,
   getFeaturesByGroup,
   searchFeatures,
   checkCSSPropertyValue,
+  checkCSSAtRule,
+  checkCSSSelector,
+  checkCSSType,
   checkJavaScriptAPI,
+  checkJavaScriptSyntax,
+  checkWebAPI,
+  checkHTMLElement,
+  checkHTMLAttribute,
   generateReport,
   calculateScore,
   meetsBaselineLevel,
@@ -166,8 +191,8 @@ export {
 
 /**
  * Convenience function to analyze mixed content
- * @param {string} content - CSS or JavaScript content
- * @param {string} type - 'css' or 'js'
+ * @param {string} content - CSS, JavaScript, HTML or component content
+ * @param {string} type - 'css', 'js', 'html', 'vue', 'svelte' or 'astro'
  * @param {Object} options - Analysis options
  * @returns {Object} Analysis results
  */
@@ -176,8 +201,12 @@ export async function analyzeContent(content, type, options = {}) {
     return analyzeCSSContent(content, options);
   } else if (type === 'js') {
     return analyzeJSContent(content, options);
+  } else if (type === 'html') {
+    return analyzeHTMLContent(content, options);
+  } else if (['vue', 'svelte', 'astro'].includes(type)) {
+    return analyzeSFCContent(content, { ...options, framework: type });
   } else {
-    throw new Error(`Unsupported content type: ${type}. Use 'css' or 'js'`);
+    throw new Error(`Unsupported content type: ${type}. Use 'css', 'js', 'html', 'vue', 'svelte' or 'astro'`);
   }
 }
 
@@ -194,8 +223,12 @@ export async function analyzeFile(filePath, options = {}) {
     return analyzeCSSFile(filePath, options);
   } else if (['js', 'jsx', 'ts', 'tsx'].includes(ext)) {
     return analyzeJSFile(filePath, options);
+  } else if (['html', 'htm'].includes(ext)) {
+    return analyzeHTMLFile(filePath, options);
+  } else if (['vue', 'svelte', 'astro'].includes(ext)) {
+    return analyzeSFCFile(filePath, options);
   } else {
-    throw new Error(`Unsupported file extension: ${ext}. Supported: css, js, jsx, ts, tsx`);
+    throw new Error(`Unsupported file extension: ${ext}. Supported: css, js, jsx, ts, tsx, html, htm, vue, svelte, astro`);
   }
 }
 
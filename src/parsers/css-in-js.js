@@ -0,0 +1,232 @@
+// src/parsers/css-in-js.js
+// Extract the CSS of CSS-in-JS styles: tagged templates and object styles
+
+import { toCSSProperty, getLiteralValue } from './cssom-usage.js';
+
+// Tags (by the name their root identifier is imported as) -> what their template holds:
+// styled.div`...`, styled(Button)`...`, css`...`, createGlobalStyle`...`, keyframes`...`
+const STYLE_TAGS = {
+  styled: 'declarations',
+  css: 'declarations',
+  createGlobalStyle: 'stylesheet',
+  injectGlobal: 'stylesheet',
+  keyframes: 'keyframes'
+};
+
+// Lit's css`` holds a stylesheet that is adopted as is
+const LIT_PACKAGES = /^(lit|lit-element|@lit\/reactive-element)$/;
+
+// Wrappers turning a template into a stylesheet
+const TEMPLATE_WRAPPERS = {
+  declarations: '*{',
+  keyframes: '@keyframes _{',
+  stylesheet: ''
+};
+
+// Style functions whose object argument isn't styles: styled.div.attrs({ type })
+const CONFIG_METHODS = new Set(['attrs', 'withConfig']);
+
+// JSX props taking object styles: sx={{ ... }} (MUI, Theme UI), css={{ ... }} (Emotion)
+// and style={{ ... }}
+const OBJECT_STYLE_PROPS = new Set(['sx', 'css', 'style']);
+
+/**
+ * Get the root identifier of a tag or callee: styled.div.attrs() -> styled
+ */
+function getRootName(node) {
+  while (node?.type === 'MemberExpression' || node?.type === 'CallExpression') {
+    node = node.type === 'MemberExpression' ? node.object : node.callee;
+  }
+  return node?.type === 'Identifier' ? node.name : null;
+}
+
+/**
+ * Get the import of an identifier as { source, name }, name being the imported
+ * name (the local one for default imports), or null when it isn't imported
+ */
+export function getImport(path, localName) {
+  const binding = path.scope.getBinding(localName);
+  if (binding?.kind !== 'module') return null;
+
+  const { imported } = binding.path.node;
+  const name = imported ? imported.name ?? imported.value : localName;
+  return { source: binding.path.parent.source.value, name };
+}
+
+/**
+ * Check whether an interpolation fills a whole declaration: ${mixin};
+ */
+function isDeclarationSlot(before, after) {
+  return ['', ';', '{', '}'].includes(before.trimEnd().slice(-1)) && /^[^\S\n]*(;|}|\n|$)/.test(after);
+}
+
+/**
+ * Get a placeholder spanning the same lines and columns as an interpolation,
+ * a comment in place of a declaration and an identifier elsewhere
+ */
+function getPlaceholder(start, end, declaration) {
+  const lines = end.line - start.line;
+  const breaks = '\n'.repeat(lines);
+
+  if (declaration) {
+    return lines === 0 ? `/*${' '.repeat(end.column - start.column - 4)}*/` : `/*${breaks}${' '.repeat(Math.max(end.column - 2, 0))}*/`;
+  }
+  return lines === 0 ? '_'.repeat(end.column - start.column) : `_${breaks}${'_'.repeat(end.column)}`;
+}
+
+/**
+ * Get the CSS of a template literal with its interpolations replaced by
+ * placeholders, keeping every character at its line and column
+ */
+function getTemplateCSS({ quasis }) {
+  let css = quasis[0].value.raw;
+  for (let i = 1; i < quasis.length; i++) {
+    const text = quasis[i].value.raw;
+    css += getPlaceholder(quasis[i - 1].loc.end, quasis[i].loc.start, isDeclarationSlot(css, text)) + text;
+  }
+  return css;
+}
+
+/**
+ * Get the styles of a tagged template: the CSS, wrapped in a rule when it is a
+ * list of declarations, and a function locating its positions in the file
+ */
+function getTemplateStyles(path) {
+  const { tag, quasi } = path.node;
+  const imported = getImport(path, getRootName(tag));
+  if (!imported || !Object.hasOwn(STYLE_TAGS, imported.name)) return null;
+
+  const lit = LIT_PACKAGES.test(imported.source);
+  const kind = lit ? 'stylesheet' : STYLE_TAGS[imported.name];
+  const prefix = TEMPLATE_WRAPPERS[kind];
+  const origin = quasi.quasis[0].loc.start;
+
+  return {
+    css: prefix ? `${prefix}${getTemplateCSS(quasi)}}` : getTemplateCSS(quasi),
+    // Positions in the wrapper aren't in the file
+    locate: ({ line, column }) => {
+      if (line === 1 && column <= prefix.length) return null;
+      return {
+        line: origin.line + line - 1,
+        column: line === 1 ? origin.column + column - 1 - prefix.length : column - 1
+      };
+    },
+    compiled: !lit
+  };
+}
+
+/**
+ * Get the name of an object style key, or null for computed keys
+ */
+function getKeyName(property) {
+  if (property.key.type === 'StringLiteral') return property.key.value;
+  return property.key.type === 'Identifier' && !property.computed ? property.key.name : null;
+}
+
+/**
+ * Check whether an object style key is a nested selector or at-rule:
+ * '&:hover', '@media (min-width: 600px)', '.child &'
+ */
+function isSelectorKey(key) {
+  return /^[&:@.#[*>+~]/.test(key) || /[\s&,>]/.test(key);
+}
+
+/**
+ * Get the styles of an object: one declaration or rule per line, camelCase keys
+ * converted to CSS properties, nested selector and at-rule keys as nested rules
+ * and responsive values ({ xs: 1, md: 2 }) and fallbacks ([a, b]) as one
+ * declaration per value; values that aren't literals become a placeholder
+ */
+function getObjectStyles(objectNode) {
+  const lines = ['*{'];
+  const mappings = [null];
+
+  const addRules = object => {
+    for (const property of object.properties) {
+      if (property.type !== 'ObjectProperty') continue;
+
+      const name = getKeyName(property);
+      if (name === null) continue;
+
+      const { key, value } = property;
+      if (value.type === 'ObjectExpression' && isSelectorKey(name)) {
+        lines.push(`${name}{`);
+        mappings.push({ key });
+        addRules(value);
+        lines.push('}');
+        mappings.push(null);
+        continue;
+      }
+
+      const cssProperty = toCSSProperty(name);
+      let values = [value];
+      if (value.type === 'ObjectExpression') values = value.properties.map(entry => entry.value);
+      else if (value.type === 'ArrayExpression') values = value.elements;
+
+      for (const valueNode of values.filter(Boolean)) {
+        const literal = getLiteralValue(valueNode);
+        lines.push(`${cssProperty}:${literal === null ? '_' : literal.replace(/[\r\n]/g, ' ')};`);
+        mappings.push({ key, property: cssProperty, value: literal === null ? null : valueNode });
+      }
+    }
+  };
+  addRules(objectNode);
+  lines.push('}');
+
+  return {
+    css: lines.join('\n'),
+    // Positions in a value are offsets into its literal, anything else is at the key
+    locate: ({ line, column }) => {
+      const mapping = mappings[line - 1];
+      if (!mapping) return null;
+
+      if (mapping.value && column > mapping.property.length + 1) {
+        const { start } = mapping.value.loc;
+        const quote = mapping.value.type === 'NumericLiteral' ? 0 : 1;
+        return { line: start.line, column: start.column + quote + column - mapping.property.length - 2 };
+      }
+      return { line: mapping.key.loc.start.line, column: mapping.key.loc.start.column };
+    },
+    compiled: true
+  };
+}
+
+/**
+ * Find the CSS-in-JS styles of a tagged template, call or JSX prop:
+ * styled.div`...`, css`...`, Lit's css`...`, css({ ... }), styled.div({ ... })
+ * and sx={{ ... }}, css={{ ... }} or style={{ ... }}
+ *
+ * Returns { css, locate, compiled } or null, where css is a stylesheet, locate
+ * maps a { line, column } in it (1-based) to the file ({ line, column } with a
+ * 0-based column, or null for wrapper code) and compiled whether a library
+ * compiles its nesting away.
+ */
+export function findCSSInJS(path) {
+  const { node } = path;
+
+  if (path.isTaggedTemplateExpression()) {
+    return getTemplateStyles(path);
+  }
+
+  if (path.isJSXAttribute()) {
+    const expression = node.value?.type === 'JSXExpressionContainer' ? node.value.expression : null;
+    if (node.name.type !== 'JSXIdentifier' || !OBJECT_STYLE_PROPS.has(node.name.name) || expression?.type !== 'ObjectExpression') {
+      return null;
+    }
+    return getObjectStyles(expression);
+  }
+
+  if (path.isCallExpression()) {
+    const { callee } = node;
+    const [styles] = node.arguments;
+    if (styles?.type !== 'ObjectExpression' || (callee.type === 'MemberExpression' && CONFIG_METHODS.has(callee.property.name))) {
+      return null;
+    }
+
+    const imported = getImport(path, getRootName(callee));
+    const isStyleFunction = imported?.name === 'styled' || imported?.name === 'css';
+    return isStyleFunction && !LIT_PACKAGES.test(imported.source) ? getObjectStyles(styles) : null;
+  }
+
+  return null;
+}
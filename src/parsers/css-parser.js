@@ -2,7 +2,7 @@
 // Parse CSS files and check Baseline compatibility
 
 import { parse, walk } from 'css-tree';
-import { checkCSSPropertyValue, generateReport } from '../core/checker.js';
+import { BaselineLevel, checkCSSPropertyValue, checkCSSAtRule, checkCSSSelector, checkCSSType, getUnprefixedCSSProperty, generateReport } from '../core/checker.js';
 import { ParseError, FileError, handleError, safeAsync } from '../utils/error-handler.js';
 import { readFileWithCleanup } from '../utils/file-handler.js';
 import { logger, logHelpers } from '../utils/logger.js';
@@ -19,25 +19,538 @@ function isCSSKeyword(value) {
     'sticky'
   ];
   
-  return problematicKeywords.includes(value.toLowerCase());
+  return problematicKeywords.includes(value.toLowerCase()) || VENDOR_PREFIX.test(value);
 }
 
-// Common CSS properties that should be considered widely supported
-const COMMON_CSS_PROPERTIES = new Set([
-  'background', 'border-radius', 'padding', 'margin',
-  'font', 'color', 'display', 'position', 'text-align',
-  'width', 'height', 'overflow', 'border', 'float',
-  'line-height', 'z-index', 'text-decoration', 'background-color',
-  'font-size', 'font-weight', 'opacity', 'cursor', 'box-sizing',
-  'box-shadow', 'transition', 'transform', 'vertical-align', 'letter-spacing'
+// Vendor prefixes on properties and keywords, e.g. -webkit-backdrop-filter, display: -webkit-box
+const VENDOR_PREFIX = /^-(webkit|moz|ms|o|khtml)-/i;
+
+// At-rules whose block holds descriptors (css.at-rules.<name>.<descriptor>) rather than properties
+const DESCRIPTOR_AT_RULES = new Set([
+  'font-face', 'property', 'counter-style', 'font-palette-values', 'view-transition'
 ]);
 
+// Prelude functions that map onto BCD sub-features of their at-rule
+const AT_RULE_PRELUDE_FEATURES = {
+  container: {
+    'style': 'style_queries_for_custom_properties',
+    'scroll-state': 'scroll-state_queries'
+  },
+  import: {
+    'layer': 'layer',
+    'supports': 'supports'
+  }
+};
+
+// @supports condition functions that map onto css.at-rules.supports.* sub-features
+const SUPPORTS_CONDITION_FEATURES = {
+  'selector': 'selector',
+  'font-tech': 'font-tech',
+  'font-format': 'font-format'
+};
+
+// Combinators and their css.selectors.* BCD keys
+const COMBINATOR_FEATURES = {
+  '>': 'child',
+  '+': 'next-sibling',
+  '~': 'subsequent-sibling',
+  '||': 'column'
+};
+
+// CSS value functions grouped by the css.types.* entry that holds them.
+// Functions not listed here are looked up directly as css.types.<name> (clamp, round, anchor, sin, ...).
+const CSS_FUNCTION_TYPES = {
+  'color': [
+    'rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+    'color', 'color-mix', 'contrast-color', 'light-dark'
+  ],
+  'gradient': [
+    'linear-gradient', 'radial-gradient', 'conic-gradient',
+    'repeating-linear-gradient', 'repeating-radial-gradient', 'repeating-conic-gradient'
+  ],
+  'image': ['cross-fade', 'element', 'image-set', 'paint'],
+  'basic-shape': ['circle', 'ellipse', 'inset', 'path', 'polygon', 'rect', 'shape', 'xywh'],
+  'filter-function': [
+    'blur', 'brightness', 'contrast', 'drop-shadow', 'grayscale',
+    'hue-rotate', 'invert', 'opacity', 'saturate', 'sepia'
+  ],
+  'transform-function': [
+    'matrix', 'matrix3d', 'perspective', 'rotate', 'rotate3d', 'rotateX', 'rotateY', 'rotateZ',
+    'scale', 'scale3d', 'scaleX', 'scaleY', 'scaleZ', 'skew', 'skewX', 'skewY',
+    'translate', 'translate3d', 'translateX', 'translateY', 'translateZ'
+  ],
+  'easing-function': ['cubic-bezier', 'steps', 'linear']
+};
+
+// Legacy and shorthand function names stored under a different BCD name
+const CSS_FUNCTION_ALIASES = {
+  'rgba': 'rgb',
+  'hsla': 'hsl',
+  'linear': 'linear-function'
+};
+
+// Lower-cased function name -> css.types.* path, e.g. 'rotatex' -> 'transform-function.rotateX'
+const CSS_FUNCTION_TYPE_INDEX = new Map(
+  Object.entries(CSS_FUNCTION_TYPES).flatMap(([group, names]) =>
+    names.map(name => [name.toLowerCase(), `${group}.${CSS_FUNCTION_ALIASES[name] || name}`])
+  )
+);
+
+// Length units grouped by the css.types.length.* entry that holds them
+const CSS_LENGTH_UNIT_GROUPS = {
+  'container_query_length_units': ['cqw', 'cqh', 'cqi', 'cqb', 'cqmin', 'cqmax'],
+  'viewport_percentage_units_dynamic': ['dvw', 'dvh', 'dvi', 'dvb', 'dvmin', 'dvmax'],
+  'viewport_percentage_units_small': ['svw', 'svh', 'svi', 'svb', 'svmin', 'svmax'],
+  'viewport_percentage_units_large': ['lvw', 'lvh', 'lvi', 'lvb', 'lvmin', 'lvmax']
+};
+
+// Length units with their own css.types.length.* entry (px, cm, in, ... have none)
+const CSS_LENGTH_UNITS = [
+  'cap', 'ch', 'em', 'ex', 'ic', 'lh', 'Q', 'rcap', 'rch', 'rem', 'rex', 'ric', 'rlh',
+  'vb', 'vh', 'vi', 'vmax', 'vmin', 'vw'
+];
+
+// Lower-cased unit -> css.types.length.* sub-feature, e.g. 'dvh' -> 'viewport_percentage_units_dynamic'
+const CSS_LENGTH_UNIT_INDEX = new Map([
+  ...CSS_LENGTH_UNITS.map(unit => [unit.toLowerCase(), unit]),
+  ...Object.entries(CSS_LENGTH_UNIT_GROUPS).flatMap(([group, units]) =>
+    units.map(unit => [unit, group])
+  )
+]);
+
+/**
+ * Resolve a value Function node to its css.types.* path and sub-feature
+ */
+function getFunctionType(node) {
+  const name = node.name.toLowerCase();
+  const type = CSS_FUNCTION_TYPE_INDEX.get(name);
+  
+  if (!type) {
+    return { type: name, subfeature: null, grouped: false };
+  }
+  
+  // Relative color syntax, e.g. oklch(from var(--brand) l c h)
+  const firstArg = node.children.first;
+  const isRelativeColor = type.startsWith('color.') &&
+    firstArg?.type === 'Identifier' && firstArg.name.toLowerCase() === 'from';
+  
+  return {
+    type,
+    subfeature: isRelativeColor ? 'relative_syntax' : null,
+    grouped: true
+  };
+}
+
+/**
+ * Build an issue entry for a node from a generated report
+ */
+function createIssue(node, report, details) {
+  return {
+    line: node.loc?.start.line,
+    column: node.loc?.start.column,
+    ...details,
+    severity: report.severity,
+    message: report.message,
+    baseline: report.baseline,
+    support: report.support,
+    bcdKey: report.bcdKey,
+    compatible: report.compatible
+  };
+}
+
+/**
+ * Build an at-rule issue entry from a generated report
+ */
+function createAtRuleIssue(node, atRule, subfeature, report) {
+  return createIssue(node, report, {
+    atRule,
+    subfeature,
+    property: subfeature || `@${atRule}`,
+    value: null
+  });
+}
+
+/**
+ * Resolve a selector node to its BCD selector name, sub-feature and display label
+ */
+function getSelectorFeature(node) {
+  switch (node.type) {
+    case 'PseudoClassSelector': {
+      const name = node.name.toLowerCase();
+      const args = node.children?.first;
+      
+      if (name === 'host' && args) {
+        return { selector: 'hostfunction', subfeature: null, label: ':host()' };
+      }
+      
+      let subfeature = null;
+      if (name === 'not' && args?.type === 'SelectorList' && args.children.size > 1) {
+        subfeature = 'selector_list';
+      } else if ((name === 'nth-child' || name === 'nth-last-child') && args?.type === 'Nth' && args.selector) {
+        subfeature = 'of_syntax';
+      }
+      
+      return { selector: name, subfeature, label: args ? `:${name}()` : `:${name}` };
+    }
+    case 'PseudoElementSelector': {
+      const name = node.name.toLowerCase();
+      return { selector: name, subfeature: null, label: node.children ? `::${name}()` : `::${name}` };
+    }
+    case 'Combinator': {
+      const selector = COMBINATOR_FEATURES[node.name];
+      return selector ? { selector, subfeature: null, label: node.name } : null;
+    }
+    case 'NestingSelector':
+      return { selector: 'nesting', subfeature: null, label: '&' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the prelude nodes of an at-rule that map onto BCD sub-features
+ */
+function findPreludeFeatures(atRuleName, prelude) {
+  const featureMap = AT_RULE_PRELUDE_FEATURES[atRuleName];
+  const found = [];
+  
+  if (!featureMap || !prelude || prelude.type !== 'AtrulePrelude') {
+    return found;
+  }
+  
+  walk(prelude, {
+    enter(node) {
+      let name = null;
+      if (node.type === 'FeatureFunction') {
+        name = node.feature;
+      } else if (node.type === 'Function' || node.type === 'Identifier') {
+        // Covers both `layer(base)` and the bare `layer` keyword in @import
+        name = node.name;
+      }
+      
+      const subfeature = name && featureMap[name.toLowerCase()];
+      if (subfeature) {
+        found.push({ node, subfeature });
+      }
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Normalize a media feature name to its BCD name (min-width/max-width -> width)
+ */
+function getMediaFeatureName(name) {
+  const lowerName = name.toLowerCase();
+  return lowerName.replace(/^(min|max)-/, '');
+}
+
+/**
+ * Find media features and @supports condition functions in an at-rule prelude.
+ * Covers @media, @supports and the media/supports() parts of @import.
+ */
+function findConditionFeatures(prelude) {
+  const found = [];
+  
+  if (!prelude || prelude.type !== 'AtrulePrelude') {
+    return found;
+  }
+  
+  walk(prelude, {
+    enter(node) {
+      if (node.kind === 'media') {
+        if (node.type === 'Feature') {
+          found.push({ node, atRule: 'media', subfeature: getMediaFeatureName(node.name) });
+        } else if (node.type === 'FeatureRange') {
+          // Range syntax, e.g. (width >= 600px) or (400px <= width <= 700px)
+          found.push({ node, atRule: 'media', subfeature: 'range_syntax' });
+          
+          const nameNode = [node.left, node.middle, node.right].find(part => part?.type === 'Identifier');
+          if (nameNode) {
+            found.push({ node: nameNode, atRule: 'media', subfeature: getMediaFeatureName(nameNode.name) });
+          }
+        } else if (node.type === 'Condition') {
+          node.children.forEach(child => {
+            if (child.type === 'Identifier' && child.name.toLowerCase() === 'or') {
+              found.push({ node: child, atRule: 'media', subfeature: 'or_syntax' });
+            }
+          });
+        }
+      } else if (node.kind === 'supports' && (node.type === 'FeatureFunction' || node.type === 'GeneralEnclosed')) {
+        const name = (node.feature || node.function || '').toLowerCase();
+        const subfeature = SUPPORTS_CONDITION_FEATURES[name];
+        
+        if (subfeature) {
+          found.push({ node, atRule: 'supports', subfeature });
+        }
+      }
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Collect @supports blocks together with the features their condition tests
+ */
+function findSupportsGuards(ast, cssContent) {
+  const guards = [];
+  
+  walk(ast, {
+    visit: 'Atrule',
+    enter(node) {
+      if (node.name.toLowerCase() !== 'supports' || !node.block?.loc || node.prelude?.type !== 'AtrulePrelude') {
+        return;
+      }
+      
+      const guard = {
+        condition: `@supports ${cssContent.slice(node.prelude.loc.start.offset, node.prelude.loc.end.offset)}`,
+        start: node.block.loc.start,
+        end: node.block.loc.end,
+        properties: new Set(),
+        values: new Set(),
+        units: new Set(),
+        selectors: new Set()
+      };
+      let negated = false;
+      
+      walk(node.prelude, {
+        enter(conditionNode) {
+          if (conditionNode.type === 'Condition') {
+            // `@supports not (...)` blocks hold the fallback, not the enhancement
+            negated = negated || conditionNode.children.some(
+              child => child.type === 'Identifier' && child.name.toLowerCase() === 'not'
+            );
+          } else if (conditionNode.type === 'Declaration') {
+            if (!testsValueSubfeature(conditionNode)) {
+              guard.properties.add(conditionNode.property.toLowerCase());
+            }
+          } else if (this.declaration && conditionNode.type === 'Identifier') {
+            guard.values.add(conditionNode.name.toLowerCase());
+          } else if (this.declaration && conditionNode.type === 'Function') {
+            guard.values.add(`${conditionNode.name.toLowerCase()}()`);
+          } else if (this.declaration && conditionNode.type === 'Dimension') {
+            guard.units.add(conditionNode.unit.toLowerCase());
+          } else {
+            // Selectors tested by selector(...)
+            const feature = getSelectorFeature(conditionNode);
+            if (feature) {
+              guard.selectors.add(feature.label);
+            }
+          }
+        }
+      });
+      
+      if (!negated) {
+        guards.push(guard);
+      }
+    }
+  });
+  
+  return guards;
+}
+
+/**
+ * Check whether a @supports condition declaration tests a sub-feature of its
+ * value rather than the property itself: a value function
+ * (color: contrast-color(red)) or a keyword with its own BCD key (display: grid)
+ */
+function testsValueSubfeature({ property, value }) {
+  const name = property.toLowerCase();
+  let hasFunction = false;
+  walk(value, {
+    visit: 'Function',
+    enter() {
+      hasFunction = true;
+    }
+  });
+  return hasFunction || checkDeclarationValues(name, value, 'low').some(body => body.bcdKey?.startsWith(`css.properties.${name}.`));
+}
+
+/**
+ * Check whether a line/column position lies inside a start/end range
+ */
+function isWithinRange(range, line, column) {
+  if (line === undefined) return false;
+  
+  const afterStart = line > range.start.line || (line === range.start.line && column >= range.start.column);
+  const beforeEnd = line < range.end.line || (line === range.end.line && column < range.end.column);
+  return afterStart && beforeEnd;
+}
+
+/**
+ * Check whether a @supports condition tests the feature behind an issue
+ */
+function isTestedByGuard(guard, issue) {
+  if (issue.selector) {
+    return guard.selectors.has(issue.selector);
+  }
+  if (issue.unit) {
+    return guard.units.has(issue.unit);
+  }
+  if (issue.atRule || !issue.property) {
+    return false;
+  }
+  if (issue.value) {
+    return guard.values.has(issue.value.toLowerCase());
+  }
+  return guard.properties.has(issue.property.toLowerCase());
+}
+
+/**
+ * Find the innermost enclosing @supports block whose condition tests the issue's feature
+ */
+function findGuard(guards, issue) {
+  for (let i = guards.length - 1; i >= 0; i--) {
+    const guard = guards[i];
+    if (isWithinRange(guard, issue.line, issue.column) && isTestedByGuard(guard, issue)) {
+      return guard;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect declarations backed by another declaration in the same block: a repeated
+ * property (`height: 100vh; height: 100dvh;`, the first one is the fallback) or a
+ * vendor-prefixed twin (`-webkit-backdrop-filter` next to `backdrop-filter`)
+ */
+function findFallbackDeclarations(ast, cssContent) {
+  const fallbacks = [];
+  const describe = node => ({
+    line: node.loc.start.line,
+    column: node.loc.start.column,
+    declaration: cssContent.slice(node.loc.start.offset, node.loc.end.offset)
+  });
+  
+  walk(ast, {
+    visit: 'Block',
+    enter(node) {
+      const declarations = node.children.toArray().filter(child => child.type === 'Declaration' && child.loc);
+      const previous = new Map();
+      
+      declarations.forEach(child => {
+        const property = child.property.toLowerCase();
+        const fallback = previous.get(property);
+        previous.set(property, child);
+        
+        if (!fallback) return;
+        
+        // Repeating the exact same declaration is not a fallback
+        const fallbackDetails = describe(fallback);
+        if (fallbackDetails.declaration === describe(child).declaration) return;
+        
+        fallbacks.push({ start: child.loc.start, end: child.loc.end, fallback: fallbackDetails });
+      });
+      
+      declarations.forEach(child => {
+        const unprefixed = getUnprefixedCSSProperty(child.property.toLowerCase());
+        const twin = unprefixed && declarations.find(other => other.property.toLowerCase() === unprefixed);
+        
+        if (!twin) return;
+        
+        // The prefixed form covers browsers without the unprefixed one, and vice versa
+        fallbacks.push({ start: twin.loc.start, end: twin.loc.end, fallback: { ...describe(child), prefixed: true } });
+        fallbacks.push({ start: child.loc.start, end: child.loc.end, unprefixedTwin: describe(twin) });
+      });
+    }
+  });
+  
+  return fallbacks;
+}
+
+/**
+ * Find the fallback range for the declaration an issue was found in
+ */
+function findFallback(fallbacks, issue) {
+  return fallbacks.find(range => isWithinRange(range, issue.line, issue.column)) || null;
+}
+
+/**
+ * Check the keywords a declaration's value uses (display: grid), one issue
+ * body per keyword without a position
+ */
+function checkDeclarationValues(property, valueNode, requiredLevel) {
+  const values = [];
+  
+  // Extract values from the declaration, but only check meaningful ones
+  walk(valueNode, {
+    visit: 'Identifier',
+    enter(valueNode) {
+      const value = valueNode.name;
+      // Only check values that are likely to be CSS keywords, not generic words
+      if (isCSSKeyword(value)) {
+        values.push(value);
+      }
+    }
+  });
+  
+  const issues = [];
+  for (const value of values) {
+    const result = checkCSSPropertyValue(property, value);
+    
+    // Prefixed keywords without BCD data (e.g. -webkit-box) say nothing about the property
+    if (VENDOR_PREFIX.test(value) && result.type !== 'prefixed-value') continue;
+    
+    const report = generateReport(result, requiredLevel);
+    issues.push({
+      property,
+      value,
+      severity: report.severity,
+      message: report.message,
+      baseline: report.baseline,
+      support: report.support,
+      bcdKey: report.bcdKey,
+      compatible: report.compatible
+    });
+  }
+  return issues;
+}
+
+/**
+ * Check a declaration's property, as an issue body without a position
+ */
+function checkDeclarationProperty(property, requiredLevel) {
+  const report = generateReport(checkCSSPropertyValue(property, null), requiredLevel);
+  return {
+    property,
+    value: null,
+    severity: report.severity,
+    message: report.message,
+    baseline: report.baseline,
+    support: report.support,
+    bcdKey: report.bcdKey,
+    compatible: report.compatible
+  };
+}
+
+/**
+ * Check a declaration given as strings, e.g. set from JavaScript through the
+ * CSSOM: the keywords its value uses, or else the property itself. Returns
+ * issue bodies without a position.
+ */
+export function checkCSSDeclaration(property, value, requiredLevel = 'low') {
+  let valueNode = null;
+  if (value) {
+    try {
+      valueNode = parse(String(value), { context: 'value' });
+    } catch {
+      // Unparseable values still get the property checked
+    }
+  }
+  
+  const issues = valueNode ? checkDeclarationValues(property, valueNode, requiredLevel) : [];
+  return issues.length > 0 ? issues : [checkDeclarationProperty(property, requiredLevel)];
+}
+
 /**
  * Parse CSS content and find all Baseline issues
  */
 export function analyzeCSSContent(cssContent, options = {}) {
-  const { requiredLevel = 'low' } = options;
+  const { requiredLevel = 'low', guardedSeverity = 'info' } = options;
   const issues = [];
+  const unitUsages = new Map();
   
   logger.debug('Starting CSS content analysis', { requiredLevel, contentLength: cssContent.length });
   
@@ -47,123 +560,225 @@ export function analyzeCSSContent(cssContent, options = {}) {
       parseValue: true
     });
     
+    // @supports blocks, used to recognize progressive enhancement
+    const guards = findSupportsGuards(ast, cssContent);
+    // Repeated declarations, used to recognize cascading fallbacks
+    const fallbacks = findFallbackDeclarations(ast, cssContent);
+    
     walk(ast, {
       visit: 'Declaration',
       enter(node) {
+        // Descriptors are checked together with their at-rule below
+        if (this.atrule && DESCRIPTOR_AT_RULES.has(this.atrule.name.toLowerCase())) {
+          return;
+        }
+        
         const property = node.property;
-        let values = [];
+        const position = { line: node.loc?.start.line, column: node.loc?.start.column };
         
-        // Extract values from the declaration, but only check meaningful ones
+        // Include all features for baseline scoring (info, warning, error)
+        const valueIssues = checkDeclarationValues(property, node.value, requiredLevel);
+        issues.push(...valueIssues.map(issue => ({ ...position, ...issue })));
+        
+        // Also check the property itself, unless already added via a value check
+        const alreadyAdded = issues.some(
+          issue => issue.line === node.loc?.start.line && 
+                  issue.property === property
+        );
+        
+        if (!alreadyAdded) {
+          issues.push({ ...position, ...checkDeclarationProperty(property, requiredLevel) });
+        }
+        
+        // Collect length units; they are reported once per unit after the walk
         walk(node.value, {
-          visit: 'Identifier',
-          enter(valueNode) {
-            const value = valueNode.name;
-            // Only check values that are likely to be CSS keywords, not generic words
-            if (isCSSKeyword(value)) {
-              values.push(value);
+          visit: 'Dimension',
+          enter(dimensionNode) {
+            const unit = dimensionNode.unit.toLowerCase();
+            if (!CSS_LENGTH_UNIT_INDEX.has(unit)) return;
+            
+            // Guarded usages and usages with a fallback are grouped separately
+            const position = {
+              line: dimensionNode.loc?.start.line,
+              column: dimensionNode.loc?.start.column
+            };
+            let groupKey = unit;
+            if (findGuard(guards, { unit, ...position })) {
+              groupKey = `${unit}:guarded`;
+            } else if (findFallback(fallbacks, position)) {
+              groupKey = `${unit}:fallback`;
             }
+            
+            if (!unitUsages.has(groupKey)) {
+              unitUsages.set(groupKey, { unit, nodes: [] });
+            }
+            unitUsages.get(groupKey).nodes.push(dimensionNode);
           }
         });
         
-        // Check each property-value combination for meaningful values
-        for (const value of values) {
-          // Normal check for all properties/values
-          const result = checkCSSPropertyValue(property, value);
-          const report = generateReport(result, requiredLevel);
-          
-          // Include all features for baseline scoring (info, warning, error)
-          issues.push({
-            line: node.loc?.start.line,
-            column: node.loc?.start.column,
-            property,
-            value,
-            severity: report.severity,
-            message: report.message,
-            baseline: report.baseline,
-            support: report.support,
-            bcdKey: report.bcdKey,
-            compatible: report.compatible
-          });
-        }
-        
-        // Also check the property itself, but only if it's not in our common list
-        if (!COMMON_CSS_PROPERTIES.has(property)) {
-          const propertyResult = checkCSSPropertyValue(property, null);
-          const propertyReport = generateReport(propertyResult, requiredLevel);
-          
-          // Include all features for baseline scoring (info, warning, error)
-          // Only add if not already added via value check
-          const alreadyAdded = issues.some(
-            issue => issue.line === node.loc?.start.line && 
-                    issue.property === property
-          );
-          
-          if (!alreadyAdded) {
-            issues.push({
-              line: node.loc?.start.line,
-              column: node.loc?.start.column,
+        // Check value functions (color-mix(), oklch(), round(), anchor(), ...) at their own position
+        walk(node.value, {
+          visit: 'Function',
+          enter(functionNode) {
+            const { type, subfeature, grouped } = getFunctionType(functionNode);
+            const result = checkCSSType(type, subfeature);
+            
+            // Ungrouped names are only reported when BCD knows them (skips repeat(), minmax(), ...),
+            // and widely available ones (var(), calc(), clamp()) would only flood the output
+            if ((!grouped && !result.status) || result.status?.baseline === BaselineLevel.WIDELY) return;
+            
+            const report = generateReport(result, requiredLevel);
+            issues.push(createIssue(functionNode, report, {
               property,
-              value: null,
-              severity: propertyReport.severity,
-              message: propertyReport.message,
-              baseline: propertyReport.baseline,
-              support: propertyReport.support,
-              bcdKey: propertyReport.bcdKey,
-              compatible: propertyReport.compatible
-            });
+              value: `${functionNode.name}()`
+            }));
           }
-        } else {
-          // For common properties, add a positive entry
-          // Only add if no value-specific check has been added yet
-          const alreadyAdded = issues.some(
-            issue => issue.line === node.loc?.start.line && 
-                    issue.property === property
-          );
-          
-          if (!alreadyAdded) {
-            issues.push({
-              line: node.loc?.start.line,
-              column: node.loc?.start.column,
-              property,
-              value: null,
-              severity: 'info',
-              message: 'Widely available (since 2012-01-01)',
-              baseline: 'high',
-              support: {
-                chrome: '1',
-                chrome_android: '18',
-                edge: '12',
-                firefox: '1',
-                firefox_android: '4',
-                safari: '1',
-                safari_ios: '1'
-              },
-              compatible: true
-            });
+        });
+      }
+    });
+    
+    // Report each length unit once, with every location it is used at
+    for (const { unit, nodes } of unitUsages.values()) {
+      const result = checkCSSType('length', CSS_LENGTH_UNIT_INDEX.get(unit));
+      const report = generateReport(result, requiredLevel);
+      issues.push(createIssue(nodes[0], report, {
+        property: null,
+        value: null,
+        unit,
+        occurrences: nodes.length,
+        locations: nodes.map(unitNode => ({
+          line: unitNode.loc?.start.line,
+          column: unitNode.loc?.start.column
+        }))
+      }));
+    }
+    
+    // Check selectors: pseudo-classes, pseudo-elements, combinators and nesting
+    walk(ast, {
+      visit: 'Rule',
+      enter(node) {
+        let hasNestingSelector = false;
+        
+        walk(node.prelude, {
+          enter(selectorNode) {
+            const feature = getSelectorFeature(selectorNode);
+            // The descendant combinator is plain whitespace and carries no position
+            if (!feature || !selectorNode.loc) return;
+            
+            if (feature.selector === 'nesting') {
+              hasNestingSelector = true;
+            }
+            
+            const result = checkCSSSelector(feature.selector, feature.subfeature);
+            const report = generateReport(result, requiredLevel);
+            issues.push(createIssue(selectorNode, report, {
+              selector: feature.label,
+              property: null,
+              value: null
+            }));
           }
+        });
+        
+        // A rule nested in another rule uses CSS nesting even without an explicit `&`.
+        // css-tree only parses `&`-prefixed nested rules, the others are kept as Raw nodes.
+        const implicitlyNested = [];
+        if (this.rule && !hasNestingSelector) {
+          implicitlyNested.push(node);
+        }
+        node.block?.children.forEach(child => {
+          if (child.type === 'Raw' && child.value.includes('{')) {
+            implicitlyNested.push(child);
+          }
+        });
+        
+        for (const nestedNode of implicitlyNested) {
+          const result = checkCSSSelector('nesting');
+          const report = generateReport(result, requiredLevel);
+          issues.push(createIssue(nestedNode, report, {
+            selector: '&',
+            property: null,
+            value: null
+          }));
         }
       }
     });
     
-    // Check for at-rules
+    // Check for at-rules, their prelude sub-features and descriptors
     walk(ast, {
       visit: 'Atrule',
       enter(node) {
-        const atRuleName = node.name;
-        const bcdKey = `css.at-rules.${atRuleName}`;
-        
-        // Check at-rule Baseline status
-        const result = {
-          type: 'at-rule',
-          bcdKey,
-          status: null // Would need to implement getBCDKeyStatus for at-rules
-        };
-        
-        // For now, just log that we found an at-rule
-        // You can extend this to check Baseline status
+        const atRuleName = node.name.toLowerCase();
+        
+        const result = checkCSSAtRule(atRuleName);
+        const report = generateReport(result, requiredLevel);
+        issues.push(createAtRuleIssue(node, atRuleName, null, report));
+        
+        // Prelude sub-features, e.g. @container style() queries or @import layer()
+        for (const { node: featureNode, subfeature } of findPreludeFeatures(atRuleName, node.prelude)) {
+          const featureResult = checkCSSAtRule(atRuleName, subfeature);
+          
+          // Only report sub-features BCD actually tracks
+          if (featureResult.type === 'at-rule-subfeature') {
+            const featureReport = generateReport(featureResult, requiredLevel);
+            issues.push(createAtRuleIssue(featureNode, atRuleName, subfeature, featureReport));
+          }
+        }
+        
+        // Media features and @supports conditions, e.g. (prefers-reduced-motion) or selector()
+        for (const { node: featureNode, atRule, subfeature } of findConditionFeatures(node.prelude)) {
+          const featureResult = checkCSSAtRule(atRule, subfeature);
+          
+          if (featureResult.type === 'at-rule-subfeature') {
+            const featureReport = generateReport(featureResult, requiredLevel);
+            issues.push(createAtRuleIssue(featureNode, atRule, subfeature, featureReport));
+          }
+        }
+        
+        // Descriptors, e.g. font-display inside @font-face
+        if (DESCRIPTOR_AT_RULES.has(atRuleName) && node.block) {
+          node.block.children.forEach(child => {
+            if (child.type !== 'Declaration') return;
+            
+            const descriptor = child.property.toLowerCase();
+            const descriptorResult = checkCSSAtRule(atRuleName, descriptor);
+            
+            if (descriptorResult.type === 'at-rule-subfeature') {
+              const descriptorReport = generateReport(descriptorResult, requiredLevel);
+              issues.push(createAtRuleIssue(child, atRuleName, descriptor, descriptorReport));
+            }
+          });
+        }
       }
     });
     
+    // Features tested by an enclosing @supports condition are progressive enhancement
+    for (const issue of issues) {
+      const guard = findGuard(guards, issue);
+      issue.guarded = guard !== null;
+      
+      if (guard) {
+        issue.guard = guard.condition;
+        issue.severity = guardedSeverity;
+        issue.message = `${issue.message} - guarded by ${guard.condition}`;
+        continue;
+      }
+      
+      // Older browsers drop the declaration and keep the other one in the same block
+      const range = findFallback(fallbacks, issue);
+      if (range?.fallback && !issue.compatible) {
+        const { fallback } = range;
+        issue.hasFallback = true;
+        issue.fallback = fallback;
+        issue.severity = 'info';
+        issue.message = `${issue.message} - has ${fallback.prefixed ? 'prefixed ' : ''}fallback \`${fallback.declaration}\` (line ${fallback.line})`;
+      } else if (range?.unprefixedTwin && !issue.compatible) {
+        const { unprefixedTwin } = range;
+        issue.unprefixedTwin = unprefixedTwin;
+        issue.severity = 'info';
+        issue.message = `${issue.message} - alongside unprefixed \`${unprefixedTwin.declaration}\` (line ${unprefixedTwin.line})`;
+      }
+    }
+    
   } catch (error) {
     const errorInfo = handleError(error, { 
       type: 'css_parse',
@@ -183,7 +798,9 @@ export function analyzeCSSContent(cssContent, options = {}) {
     summary: {
       total: issues.length,
       errors: issues.filter(i => i.severity === 'error').length,
-      warnings: issues.filter(i => i.severity === 'warning').length
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      guarded: issues.filter(i => i.guarded).length,
+      unguarded: issues.filter(i => !i.guarded).length
     }
   };
 }
@@ -215,9 +832,19 @@ export const analyzeCSSFile = safeAsync(async (filePath, options = {}) => {
 export function formatIssues(issues) {
   return issues.map(issue => {
     const location = issue.line ? `${issue.line}:${issue.column}` : 'unknown';
-    const propertyValue = issue.value 
+    let propertyValue = issue.value 
       ? `${issue.property}: ${issue.value}` 
       : issue.property;
+    if (issue.atRule && issue.subfeature) {
+      propertyValue = `@${issue.atRule} ${issue.subfeature}`;
+    } else if (issue.selector) {
+      propertyValue = issue.selector;
+    } else if (issue.unit) {
+      propertyValue = `${issue.unit} unit`;
+    }
+    if (issue.occurrences > 1) {
+      propertyValue += ` (${issue.occurrences} occurrences)`;
+    }
     
     let icon = '';
     if (issue.severity === 'error') icon = '❌';
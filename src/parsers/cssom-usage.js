@@ -0,0 +1,169 @@
+// src/parsers/cssom-usage.js
+// Find CSS declarations set from JavaScript through the CSSOM
+
+// Keyframe keys that aren't CSS properties
+const KEYFRAME_KEYS = new Set(['offset', 'easing', 'composite']);
+
+// CSSStyleDeclaration members that aren't CSS properties
+const STYLE_MEMBERS = new Set(['length', 'parentRule']);
+
+/**
+ * Convert a CSSOM property name to its CSS form: containerType -> container-type,
+ * webkitBackdropFilter -> -webkit-backdrop-filter, cssFloat -> float
+ */
+export function toCSSProperty(name) {
+  if (name === 'cssFloat') return 'float';
+  if (name.includes('-')) return name.toLowerCase();
+
+  const property = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  return /^(webkit|moz|ms|o)-/.test(property) ? `-${property}` : property;
+}
+
+/**
+ * Get the value of a string or number literal, or of a template literal
+ * without expressions
+ */
+export function getLiteralValue(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+      return String(node.value);
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the member name of a non-computed or string-keyed member expression
+ */
+function getMemberName(node) {
+  if (node?.type !== 'MemberExpression' && node?.type !== 'OptionalMemberExpression') return null;
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  return node.computed && node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+/**
+ * Split a declaration block (el.style.cssText = 'a: b; c: d') into declarations
+ */
+function parseDeclarations(text) {
+  return text.split(';')
+    .map(declaration => declaration.match(/^\s*(-*[a-zA-Z][\w-]*)\s*:\s*(.*?)\s*$/s))
+    .filter(Boolean)
+    .map(([, property, value]) => ({ property: property.toLowerCase(), value }));
+}
+
+/**
+ * Collect the declarations of a keyframes argument, an object or an array of
+ * objects: element.animate({ viewTimeline: '--x', opacity: [0, 1] })
+ */
+function getKeyframeDeclarations(path) {
+  const keyframes = path.isArrayExpression() ? path.get('elements') : [path];
+  const declarations = [];
+
+  for (const keyframe of keyframes) {
+    if (!keyframe.isObjectExpression()) continue;
+
+    for (const property of keyframe.get('properties')) {
+      const { node } = property;
+      if (!property.isObjectProperty() || node.computed) continue;
+
+      const name = node.key.type === 'Identifier' ? node.key.name : node.key.value;
+      if (typeof name !== 'string' || KEYFRAME_KEYS.has(name)) continue;
+
+      const values = node.value.type === 'ArrayExpression' ? node.value.elements : [node.value];
+      declarations.push({
+        property: toCSSProperty(name),
+        value: values.map(getLiteralValue).filter(value => value !== null).join(' ') || null,
+        path: property.get('key')
+      });
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Parse the declarations a single-argument CSS.supports() condition tests, both
+ * parenthesized, '(anchor-name: --a) and (display: grid)', and bare,
+ * 'anchor-name: --a'. Returns { property, value } entries.
+ */
+export function parseSupportsCondition(condition) {
+  const bare = condition.trim().match(/^(-*[a-zA-Z][\w-]*)\s*:\s*([\s\S]+)$/);
+  const declarations = bare
+    ? [bare]
+    : condition.matchAll(/\(\s*(-*[a-zA-Z][\w-]*)\s*:\s*([^()]*(?:\([^()]*\)[^()]*)*)\)/g);
+  return [...declarations].map(([, property, value]) => ({ property: property.toLowerCase(), value: value.trim() }));
+}
+
+/**
+ * Collect the declarations a CSS.supports() call tests:
+ * CSS.supports('anchor-name', '--a'), CSS.supports('(anchor-name: --a)') or
+ * CSS.supports('anchor-name: --a')
+ */
+function getSupportsDeclarations(path) {
+  const [first, second] = path.get('arguments');
+  const condition = getLiteralValue(first?.node);
+  if (condition === null) return [];
+
+  if (second) {
+    return [{ property: condition.toLowerCase(), value: getLiteralValue(second.node), path: first, supports: true }];
+  }
+  return parseSupportsCondition(condition).map(declaration => ({ ...declaration, path: first, supports: true }));
+}
+
+/**
+ * Find the CSS declarations an assignment or call sets through the CSSOM:
+ * el.style.containerType = 'inline-size', el.style.cssText = '...',
+ * el.style.setProperty('anchor-name', '--a'), CSS.registerProperty({ name }),
+ * element.animate(keyframes) and CSS.supports() conditions
+ *
+ * Returns { property, value, path, supports } entries where property is the CSS
+ * name, value the literal value or null, path the node to report at and
+ * supports whether the declaration is only tested.
+ */
+export function findCSSOMDeclarations(path) {
+  const { node } = path;
+
+  if (path.isAssignmentExpression({ operator: '=' })) {
+    const { left } = node;
+    const member = getMemberName(left);
+    if (!member || getMemberName(left.object) !== 'style' || STYLE_MEMBERS.has(member)) return [];
+
+    const value = getLiteralValue(node.right);
+    if (member === 'cssText') {
+      return value === null ? [] : parseDeclarations(value).map(declaration => ({ ...declaration, path: path.get('right') }));
+    }
+    return [{ property: toCSSProperty(member), value, path: path.get('left.property') }];
+  }
+
+  if (!path.isCallExpression()) return [];
+
+  const method = getMemberName(node.callee);
+  const receiver = node.callee.object;
+  const args = path.get('arguments');
+  const isCSS = receiver?.type === 'Identifier' && receiver.name === 'CSS' && !path.scope.getBinding('CSS');
+
+  if (method === 'setProperty' && getMemberName(receiver) === 'style') {
+    const property = getLiteralValue(args[0]?.node);
+    return property === null ? [] : [{ property: property.toLowerCase(), value: getLiteralValue(args[1]?.node), path: args[0] }];
+  }
+
+  if (method === 'registerProperty' && isCSS && args[0]?.isObjectExpression()) {
+    const name = args[0].get('properties').find(property =>
+      property.isObjectProperty() && !property.node.computed &&
+      (property.node.key.name === 'name' || property.node.key.value === 'name'));
+    const property = name && getLiteralValue(name.node.value);
+    return property ? [{ property, value: null, path: name.get('value') }] : [];
+  }
+
+  if (method === 'animate' && args[0]) {
+    return getKeyframeDeclarations(args[0]);
+  }
+
+  if (method === 'supports' && isCSS) {
+    return getSupportsDeclarations(path);
+  }
+
+  return [];
+}
@@ -0,0 +1,229 @@
+// src/parsers/feature-guards.js
+// Recognize JavaScript feature detection around an API usage
+
+import { parseSupportsCondition } from './cssom-usage.js';
+import { resolveWebAPIType } from './web-api-resolver.js';
+
+// Operators comparing a typeof result or a value against null/undefined
+const EQUALITY_OPERATORS = new Set(['===', '==', '!==', '!=']);
+
+/**
+ * Get the name a feature test refers to: the identifier, the member name of
+ * a member expression (ResizeObserver in window.ResizeObserver), or a string
+ * naming a CSS property (style.setProperty('anchor-name', ...))
+ */
+function getTestedName(node) {
+  switch (node?.type) {
+    case 'Identifier':
+      return node.name;
+    case 'StringLiteral':
+      return node.value;
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+      if (node.computed && node.property.type === 'StringLiteral') return node.property.value;
+      return null;
+    case 'TSNonNullExpression':
+    case 'ParenthesizedExpression':
+      return getTestedName(node.expression);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a node is the `undefined` or `null` value
+ */
+function isNullish(node) {
+  return node.type === 'NullLiteral' || (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+/**
+ * Collect the property names a CSS.supports() call tests, e.g.
+ * CSS.supports('anchor-name', '--a') or CSS.supports('anchor-name: --a'), in
+ * both their CSS and CSSOM forms (anchor-name and anchorName)
+ */
+function getSupportsNames(args) {
+  const names = new Set();
+  const [first] = args;
+  if (first?.type !== 'StringLiteral') return names;
+
+  const properties = args.length > 1
+    ? [first.value]
+    : parseSupportsCondition(first.value).map(({ property }) => property);
+  for (const property of properties) {
+    const name = property.toLowerCase();
+    names.add(name);
+    names.add(name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase()));
+  }
+  return names;
+}
+
+/**
+ * Collect the features a condition proves available when it evaluates to `outcome`
+ */
+function getTestedFeatures(node, outcome) {
+  const names = new Set();
+
+  switch (node.type) {
+    case 'UnaryExpression':
+      return node.operator === '!' ? getTestedFeatures(node.argument, !outcome) : names;
+    case 'ParenthesizedExpression':
+      return getTestedFeatures(node.expression, outcome);
+    case 'LogicalExpression':
+      // a && b is true when both are, a || b is false when both are
+      if ((node.operator === '&&' && outcome) || (node.operator === '||' && !outcome)) {
+        return new Set([...getTestedFeatures(node.left, outcome), ...getTestedFeatures(node.right, outcome)]);
+      }
+      return names;
+    case 'BinaryExpression': {
+      // 'startViewTransition' in document
+      if (node.operator === 'in') {
+        if (outcome && node.left.type === 'StringLiteral') {
+          names.add(node.left.value);
+        }
+        return names;
+      }
+      if (!EQUALITY_OPERATORS.has(node.operator)) return names;
+
+      const equal = !node.operator.startsWith('!');
+      const isTypeof = side => side.type === 'UnaryExpression' && side.operator === 'typeof';
+      const [tested, other] = isTypeof(node.right) ? [node.right, node.left] : [node.left, node.right];
+
+      // typeof x === 'function' and typeof x !== 'undefined'
+      if (isTypeof(tested) && other.type === 'StringLiteral') {
+        const exists = equal === outcome ? other.value !== 'undefined' : other.value === 'undefined';
+        const name = getTestedName(tested.argument);
+        if (exists && name) names.add(name);
+        return names;
+      }
+
+      // x !== undefined and x != null
+      const [value, nullish] = isNullish(node.left) ? [node.right, node.left] : [node.left, node.right];
+      if (isNullish(nullish) && equal !== outcome && getTestedName(value)) {
+        names.add(getTestedName(value));
+      }
+      return names;
+    }
+    case 'CallExpression': {
+      const { callee } = node;
+      const isSupports = callee.type === 'MemberExpression' && getTestedName(callee) === 'supports' &&
+        callee.object.type === 'Identifier' && callee.object.name === 'CSS';
+      return isSupports && outcome ? getSupportsNames(node.arguments) : names;
+    }
+    default:
+      // Truthiness: if (window.ResizeObserver)
+      if (outcome && getTestedName(node)) {
+        names.add(getTestedName(node));
+      }
+      return names;
+  }
+}
+
+/**
+ * Collect the names a feature test may name to guard a usage: the reported
+ * member itself (writeText in navigator.clipboard.writeText()) and the web API
+ * objects it is reached through (clipboard), never a plain receiver or root
+ * object (items in items.at(), navigator)
+ */
+function getUsageNames(usage) {
+  const names = new Set();
+
+  for (let current = usage; current; ) {
+    const name = getTestedName(current.node);
+    const isMember = current.isMemberExpression() || current.isOptionalMemberExpression();
+    if (name && (names.size === 0 || (isMember && resolveWebAPIType(current)))) {
+      names.add(name);
+    }
+
+    if (isMember) {
+      current = current.get('object');
+    } else if (current.isCallExpression() || current.isOptionalCallExpression() || current.isNewExpression()) {
+      current = current.get('callee');
+    } else {
+      current = null;
+    }
+  }
+  return names;
+}
+
+/**
+ * Check whether a statement always leaves its block: return, throw, break, continue
+ */
+function alwaysExits(node) {
+  if (node.type === 'BlockStatement') {
+    return node.body.length > 0 && alwaysExits(node.body.at(-1));
+  }
+  return ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'].includes(node.type);
+}
+
+/**
+ * Find the feature detection guarding an API usage: an enclosing if/else,
+ * ternary or && / || branch whose condition tests the API ('x' in obj,
+ * typeof x === 'function', truthiness, CSS.supports()), an earlier
+ * `if (!test) return;` in the same block, typeof, or optional chaining (obj?.x)
+ *
+ * Returns the source of the guarding condition, or null.
+ */
+export function findFeatureGuard(path, source) {
+  const usage = path.key === 'property' ? path.parentPath : path;
+  const names = getUsageNames(usage);
+  if (names.size === 0) return null;
+
+  const describe = (node, suffix = '') => `${source.slice(node.start, node.end)}${suffix}`;
+  const tests = (test, outcome) => [...getTestedFeatures(test, outcome)].some(name => names.has(name));
+
+  // The usage sits on an optional chain: navigator.clipboard?.writeText()
+  for (let current = usage.node; current; current = current.object || current.callee) {
+    const tested = current.optional && (current.object || current.callee);
+    if (tested && names.has(getTestedName(tested))) {
+      return describe(tested, '?.');
+    }
+    if (!['MemberExpression', 'OptionalMemberExpression', 'CallExpression', 'OptionalCallExpression'].includes(current.type)) break;
+  }
+
+  for (let child = usage, current = usage.parentPath; current; child = current, current = current.parentPath) {
+    const { node } = current;
+
+    // typeof never throws, it is a feature test by itself
+    if (current.isUnaryExpression({ operator: 'typeof' })) {
+      return describe(node);
+    }
+
+    // The usage is the tested part of an optional chain: document.startViewTransition?.()
+    if ((current.isOptionalMemberExpression() || current.isOptionalCallExpression()) && node.optional &&
+        (child.key === 'object' || child.key === 'callee') && names.has(getTestedName(child.node))) {
+      return describe(child.node, '?.');
+    }
+
+    if (current.isIfStatement() || current.isConditionalExpression()) {
+      const { test } = node;
+      if ((child.key === 'consequent' && tests(test, true)) ||
+          (child.key === 'alternate' && tests(test, false)) ||
+          (child.key === 'test' && (tests(test, true) || tests(test, false)))) {
+        return describe(test);
+      }
+    }
+
+    if (current.isLogicalExpression()) {
+      const { left } = node;
+      if ((child.key === 'right' && node.operator === '&&' && tests(left, true)) ||
+          (child.key === 'right' && node.operator === '||' && tests(left, false)) ||
+          (child.key === 'left' && (tests(left, true) || tests(left, false)))) {
+        return describe(left);
+      }
+    }
+
+    // Early exit: if (!('x' in obj)) return; earlier in the same block
+    if (child.inList && (current.isBlockStatement() || current.isProgram())) {
+      for (const sibling of child.getAllPrevSiblings()) {
+        const { node: statement } = sibling;
+        if (statement.type === 'IfStatement' && !statement.alternate && alwaysExits(statement.consequent) && tests(statement.test, false)) {
+          return describe(statement.test);
+        }
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,188 @@
+// src/parsers/html-parser.js
+// Parse HTML files and check Baseline compatibility
+
+import { checkHTMLElement, checkHTMLAttribute, generateReport } from '../core/checker.js';
+import { ParseError, handleError, safeAsync } from '../utils/error-handler.js';
+import { readFileWithCleanup } from '../utils/file-handler.js';
+import { analyzeCSSContent } from './css-parser.js';
+import { analyzeJSContent } from './js-parser.js';
+import { tokenizeHTML } from './html-tokenizer.js';
+import { createLocator, mapEmbeddedIssues, createEmbeddedErrorIssue } from './source-positions.js';
+
+// <script type> values that hold JavaScript
+const JS_SCRIPT_TYPES = new Set([
+  '', 'module', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'
+]);
+
+// Attribute bindings of template languages: Vue's :name and v-bind:name, Lit's
+// boolean ?name
+const BOUND_ATTRIBUTE = /^(?::|v-bind:|\?)/i;
+
+/**
+ * Create an issue for an element or attribute check
+ */
+function createIssue(position, report, details) {
+  return {
+    line: position.line,
+    column: position.column,
+    ...details,
+    severity: report.severity,
+    message: report.message,
+    baseline: report.baseline,
+    support: report.support,
+    bcdKey: report.bcdKey,
+    compatible: report.compatible
+  };
+}
+
+/**
+ * Check whether a <script> holds inline JavaScript
+ */
+function isInlineScript(tag) {
+  const type = tag.attributes.find(attribute => attribute.name.toLowerCase() === 'type');
+  const hasSrc = tag.attributes.some(attribute => attribute.name.toLowerCase() === 'src');
+  return !hasSrc && JS_SCRIPT_TYPES.has(type?.value?.trim().toLowerCase() ?? '');
+}
+
+/**
+ * Analyze an embedded snippet and move its issues to their place in the
+ * document; a snippet that fails to parse gives a single error issue
+ */
+function analyzeEmbedded(analyze, origin, columnBase, source) {
+  try {
+    return mapEmbeddedIssues(analyze().issues, origin, columnBase, source);
+  } catch (error) {
+    return [createEmbeddedErrorIssue(error, origin, columnBase, source)];
+  }
+}
+
+/**
+ * Analyze HTML content: elements against html.elements.*, attributes against
+ * html.elements.<element>.* and html.global_attributes.*, and <style> blocks,
+ * style="" attributes and inline <script> through the CSS and JS analyzers.
+ *
+ * Issues are positioned in the document with 1-based lines and columns; issues
+ * from embedded code carry their source ('style', 'style-attribute' or 'script').
+ * With template set, the markup is a component template whose capitalized tags
+ * are components, and with expressions set {...} attribute expressions are skipped.
+ */
+export function analyzeHTMLContent(htmlContent, options = {}) {
+  const { requiredLevel = 'low', template = false, expressions = false } = options;
+  const issues = [];
+
+  try {
+    const locate = createLocator(htmlContent);
+
+    for (const tag of tokenizeHTML(htmlContent, { expressions })) {
+      // Capitalized tags in component templates are components, e.g. <Dialog>
+      if (template && /[A-Z]/.test(tag.name)) continue;
+
+      const element = tag.name.toLowerCase();
+
+      // Names without BCD data (custom elements, SVG children) aren't reported
+      const elementResult = checkHTMLElement(element);
+      if (elementResult) {
+        const report = generateReport(elementResult, requiredLevel);
+        issues.push(createIssue(locate(tag.start + 1), report, { element: `<${element}>` }));
+      }
+
+      for (const { name, value: rawValue, start, valueStart } of tag.attributes) {
+        // Bound attributes take their value from an expression
+        const bound = BOUND_ATTRIBUTE.test(name);
+        const attribute = name.toLowerCase().replace(BOUND_ATTRIBUTE, '');
+        const value = bound ? null : rawValue;
+
+        // Event handler attributes are DOM events, not HTML features
+        if (!attribute.startsWith('on')) {
+          const attributeResult = checkHTMLAttribute(element, attribute, value);
+          if (attributeResult) {
+            const report = generateReport(attributeResult, requiredLevel);
+            issues.push(createIssue(locate(start), report, { element: `<${element}>`, attribute, value }));
+          }
+        }
+
+        // Declarations are wrapped in a rule, two characters before the value
+        if (attribute === 'style' && value?.trim()) {
+          const origin = locate(valueStart);
+          issues.push(...analyzeEmbedded(() => analyzeCSSContent(`*{${value}}`, options), { ...origin, column: origin.column - 2 }, 0, 'style-attribute'));
+        }
+      }
+
+      if (element === 'style' && tag.content?.trim()) {
+        issues.push(...analyzeEmbedded(() => analyzeCSSContent(tag.content, options), locate(tag.contentStart), 0, 'style'));
+      }
+
+      if (element === 'script' && tag.content?.trim() && isInlineScript(tag)) {
+        issues.push(...analyzeEmbedded(() => analyzeJSContent(tag.content, options), locate(tag.contentStart), 1, 'script'));
+      }
+    }
+  } catch (error) {
+    handleError(error, {
+      type: 'html_parse',
+      contentLength: htmlContent?.length || 0
+    });
+
+    throw new ParseError(
+      `HTML parsing failed: ${error.message}`,
+      null,
+      error.context?.line ?? null,
+      error.context?.column ?? null
+    );
+  }
+
+  return {
+    issues,
+    summary: {
+      total: issues.length,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      guarded: issues.filter(i => i.guarded).length,
+      unguarded: issues.filter(i => !i.guarded).length
+    }
+  };
+}
+
+/**
+ * Analyze HTML file
+ */
+export const analyzeHTMLFile = safeAsync(async (filePath, options = {}) => {
+  try {
+    const content = await readFileWithCleanup(filePath, {
+      encoding: 'utf-8',
+      maxSize: options.maxFileSize || 50 * 1024 * 1024
+    });
+    const result = analyzeHTMLContent(content, options);
+
+    return {
+      file: filePath,
+      ...result
+    };
+  } catch (error) {
+    // FileError is already properly formatted by readFileWithCleanup
+    throw error;
+  }
+}, { operation: 'analyzeHTMLFile' });
+
+/**
+ * Format HTML issues
+ */
+export function formatHTMLIssues(issues) {
+  return issues.map(issue => {
+    const location = issue.line ? `${issue.line}:${issue.column}` : 'unknown';
+
+    let icon = '';
+    if (issue.severity === 'error') icon = '❌';
+    else if (issue.severity === 'warning') icon = '⚠️';
+    else icon = 'ℹ️';
+
+    let feature = issue.element;
+    if (issue.attribute) {
+      feature = issue.value ? `${issue.element} ${issue.attribute}="${issue.value}"` : `${issue.element} ${issue.attribute}`;
+    } else if (issue.source) {
+      feature = issue.api || (issue.value ? `${issue.property}: ${issue.value}` : issue.property || issue.selector || issue.unit);
+    }
+
+    return `  ${icon} ${location} - ${feature}
+    ${issue.message}`;
+  }).join('\n\n');
+}
@@ -0,0 +1,42 @@
+// src/parsers/html-templates.js
+// Extract the markup of HTML tagged templates: Lit's html`...`
+
+import { getImport } from './css-in-js.js';
+
+// Packages whose html tag holds HTML: lit, lit/static-html.js, lit-html, uhtml
+const HTML_TEMPLATE_PACKAGES = /^(lit|lit-html|lit-element|uhtml|lighterhtml)(\/.*)?$/;
+
+// Fills the place of an interpolation; a private-use character matches no tag,
+// keyword or BCD key
+export const TEMPLATE_HOLE = '\uE000';
+
+/**
+ * Get a placeholder spanning the same lines and columns as an interpolation
+ */
+function getHole(start, end) {
+  const lines = end.line - start.line;
+  if (lines === 0) return TEMPLATE_HOLE.repeat(end.column - start.column);
+  return `${TEMPLATE_HOLE}${'\n'.repeat(lines)}${TEMPLATE_HOLE.repeat(end.column)}`;
+}
+
+/**
+ * Find the markup of an HTML tagged template: html`<dialog ?open=${open}>`
+ *
+ * Returns { html, origin } or null, where html is the template with its
+ * interpolations filled with TEMPLATE_HOLE, keeping every character at its line
+ * and column, and origin the { line, column } (0-based) of its first character.
+ */
+export function findHTMLTemplate(path) {
+  const { tag, quasi } = path.node;
+  if (tag.type !== 'Identifier') return null;
+
+  const imported = getImport(path, tag.name);
+  if (imported?.name !== 'html' || !HTML_TEMPLATE_PACKAGES.test(imported.source)) return null;
+
+  const { quasis } = quasi;
+  let html = quasis[0].value.raw;
+  for (let i = 1; i < quasis.length; i++) {
+    html += getHole(quasis[i - 1].loc.end, quasis[i].loc.start) + quasis[i].value.raw;
+  }
+  return { html, origin: quasis[0].loc.start };
+}
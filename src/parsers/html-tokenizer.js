@@ -0,0 +1,162 @@
+// src/parsers/html-tokenizer.js
+// Find the start tags of an HTML document with their attributes and offsets
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Sticky patterns, matched at a given offset
+const TAG_NAME = /[a-zA-Z][^\s/>]*/y;
+// A leading = belongs to the name, as in the HTML spec: <div =foo>
+const ATTRIBUTE_NAME = /[^\s/>][^\s=/>]*/y;
+const UNQUOTED_VALUE = /[^\s>]*/y;
+
+/**
+ * Match a sticky pattern at an offset
+ */
+function matchAt(pattern, text, offset) {
+  pattern.lastIndex = offset;
+  return pattern.exec(text)?.[0] ?? null;
+}
+
+/**
+ * Get the end offset of a balanced {...} expression starting at offset, after
+ * its closing brace; braces in strings don't count
+ */
+function skipExpression(html, offset) {
+  let depth = 0;
+  for (let i = offset; i < html.length; i++) {
+    const char = html[i];
+    if (char === '"' || char === "'" || char === '`') {
+      for (i++; i < html.length && html[i] !== char; i++) {
+        if (html[i] === '\\') i++;
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return html.length;
+}
+
+/**
+ * Find the quote closing an attribute value, skipping quotes inside {...}
+ * expressions with expressions set: class="a {open ? "b" : "c"}"
+ */
+function findQuote(html, quote, offset, expressions) {
+  for (let i = offset; i < html.length; i++) {
+    if (html[i] === quote) return i;
+    if (expressions && html[i] === '{') i = skipExpression(html, i) - 1;
+  }
+  return -1;
+}
+
+/**
+ * Read a tag's attributes starting at offset, up to the closing > or />.
+ * With expressions, {...} attribute values, {name} shorthands and {...spread}
+ * are skipped as a whole (Svelte, Astro).
+ */
+function readAttributes(html, offset, expressions) {
+  const attributes = [];
+  let i = offset;
+
+  while (i < html.length) {
+    while (/\s/.test(html[i])) i++;
+    if (html[i] === '>' || i >= html.length) return { attributes, end: i + 1, selfClosing: false };
+    if (html.startsWith('/>', i)) return { attributes, end: i + 2, selfClosing: true };
+    if (html[i] === '/') {
+      i++;
+      continue;
+    }
+
+    // {disabled} is disabled={disabled}; spreads hold no attribute names
+    if (expressions && html[i] === '{') {
+      const end = skipExpression(html, i);
+      const shorthand = html.slice(i + 1, end - 1).match(/^\s*([a-zA-Z_$][\w$]*)\s*$/);
+      if (shorthand) {
+        attributes.push({ name: shorthand[1], value: null, start: i + 1 + shorthand[0].indexOf(shorthand[1]), valueStart: null });
+      }
+      i = end;
+      continue;
+    }
+
+    const name = matchAt(ATTRIBUTE_NAME, html, i);
+    const attribute = { name, value: null, start: i, valueStart: null };
+    i += name.length;
+
+    let j = i;
+    while (/\s/.test(html[j])) j++;
+    if (html[j] === '=') {
+      j++;
+      while (/\s/.test(html[j])) j++;
+
+      const quote = html[j] === '"' || html[j] === "'" ? html[j] : null;
+      if (expressions && html[j] === '{') {
+        // The value is an expression, unknown until runtime
+        attribute.valueStart = j;
+        i = skipExpression(html, j);
+      } else if (quote) {
+        const close = findQuote(html, quote, j + 1, expressions);
+        const valueEnd = close === -1 ? html.length : close;
+        attribute.valueStart = j + 1;
+        attribute.value = html.slice(j + 1, valueEnd);
+        i = valueEnd + 1;
+      } else {
+        const value = matchAt(UNQUOTED_VALUE, html, j);
+        attribute.valueStart = j;
+        attribute.value = value;
+        i = j + value.length;
+      }
+    }
+    attributes.push(attribute);
+  }
+
+  return { attributes, end: html.length, selfClosing: false };
+}
+
+/**
+ * Tokenize HTML into its start tags, skipping comments, doctypes and end tags
+ *
+ * Returns [{ name, start, end, attributes, selfClosing, content, contentStart }]
+ * where name keeps its case, offsets index into html, attributes are
+ * { name, value, start, valueStart } (value null for boolean attributes and
+ * expressions) and raw text elements (script, style) carry their content.
+ * With expressions set, balanced {...} expressions in attributes (Svelte,
+ * Astro) are skipped, e.g. disabled={count >= 1} and {...props}.
+ */
+export function tokenizeHTML(html, { expressions = false } = {}) {
+  const tags = [];
+  const lowerHTML = html.toLowerCase();
+  let i = 0;
+
+  while ((i = html.indexOf('<', i)) !== -1) {
+    if (html.startsWith('<!--', i)) {
+      const close = html.indexOf('-->', i + 4);
+      i = close === -1 ? html.length : close + 3;
+      continue;
+    }
+
+    const name = matchAt(TAG_NAME, html, i + 1);
+    if (!name) {
+      // End tags, doctypes, processing instructions and stray <
+      const close = /^<[!/?]/.test(html.slice(i, i + 2)) ? html.indexOf('>', i) : i;
+      i = close === -1 ? html.length : close + 1;
+      continue;
+    }
+
+    const { attributes, end, selfClosing } = readAttributes(html, i + 1 + name.length, expressions);
+    const tag = { name, start: i, end, attributes, selfClosing };
+    i = end;
+
+    if (RAW_TEXT_ELEMENTS.has(name.toLowerCase()) && !selfClosing) {
+      const close = lowerHTML.indexOf(`</${name.toLowerCase()}`, end);
+      const contentEnd = close === -1 ? html.length : close;
+      tag.content = html.slice(end, contentEnd);
+      tag.contentStart = end;
+      i = contentEnd;
+    }
+    tags.push(tag);
+  }
+
+  return tags;
+}
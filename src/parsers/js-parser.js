@@ -3,538 +3,566 @@
 
 import { parse } from '@babel/parser';
 import traverseDefault from '@babel/traverse';
-import { checkJavaScriptAPI, generateReport } from '../core/checker.js';
+import { checkJavaScriptAPI, checkJavaScriptSyntax, checkWebAPI, checkHTMLElement, checkHTMLAttribute, generateReport, hasBCDKey } from '../core/checker.js';
 import { ParseError, FileError, handleError, safeAsync } from '../utils/error-handler.js';
 import { readFileWithCleanup } from '../utils/file-handler.js';
+import { createTypeResolver } from './type-resolver.js';
+import { resolveEventAPI, resolveMemberAPI, resolveWebAPI, resolveWebAPIType } from './web-api-resolver.js';
+import { findFeatureGuard } from './feature-guards.js';
+import { findRegExpFeatures } from './regex-features.js';
+import { findCSSOMDeclarations } from './cssom-usage.js';
+import { findCSSInJS } from './css-in-js.js';
+import { findHTMLTemplate, TEMPLATE_HOLE } from './html-templates.js';
+import { analyzeCSSContent, checkCSSDeclaration } from './css-parser.js';
+import { analyzeHTMLContent } from './html-parser.js';
+import { mapEmbeddedIssues, createEmbeddedErrorIssue } from './source-positions.js';
+import { JS_BUILTINS } from '../data/javascript-builtins.js';
 
 // @babel/traverse exports a default object, need to get the actual function
 const traverse = traverseDefault.default || traverseDefault;
 
+// Logical assignment operators -> javascript.operators.* features
+const LOGICAL_ASSIGNMENT_FEATURES = {
+  '||=': 'operators.logical_or_assignment',
+  '&&=': 'operators.logical_and_assignment',
+  '??=': 'operators.nullish_coalescing_assignment'
+};
+
+// Script language -> parser plugins; without a lang both JSX and TypeScript are
+// accepted, but TypeScript's <Type>value assertions aren't valid JSX
+const LANG_PLUGINS = {
+  js: ['jsx'],
+  jsx: ['jsx'],
+  ts: ['typescript'],
+  tsx: ['jsx', 'typescript']
+};
+const DEFAULT_PLUGINS = ['jsx', 'typescript'];
+
+// TypeScript file extensions -> script language
+const TS_EXTENSIONS = { ts: 'ts', mts: 'ts', cts: 'ts', tsx: 'tsx' };
+
 /**
- * JavaScript APIs to check (comprehensive modern features)
+ * Check whether code runs at the top level of a module, outside any function
  */
-const JS_APIS = {
-  // Array methods
-  'Array.prototype.at': 'at',
-  'Array.prototype.findLast': 'findLast',
-  'Array.prototype.findLastIndex': 'findLastIndex',
-  'Array.prototype.toReversed': 'toReversed',
-  'Array.prototype.toSorted': 'toSorted',
-  'Array.prototype.toSpliced': 'toSpliced',
-  'Array.prototype.with': 'with',
-  'Array.prototype.flatMap': 'flatMap',
-  'Array.prototype.flat': 'flat',
-  'Array.prototype.includes': 'includes',
-  'Array.prototype.find': 'find',
-  'Array.prototype.findIndex': 'findIndex',
-  'Array.prototype.fill': 'fill',
-  'Array.prototype.copyWithin': 'copyWithin',
-  'Array.prototype.keys': 'keys',
-  'Array.prototype.values': 'values',
-  'Array.prototype.entries': 'entries',
-  'Array.prototype.from': 'from',
-  'Array.prototype.of': 'of',
-  'Array.prototype.isArray': 'isArray',
-  'Array.prototype.forEach': 'forEach',
-  'Array.prototype.map': 'map',
-  'Array.prototype.filter': 'filter',
-  'Array.prototype.reduce': 'reduce',
-  'Array.prototype.reduceRight': 'reduceRight',
-  'Array.prototype.some': 'some',
-  'Array.prototype.every': 'every',
-  'Array.prototype.sort': 'sort',
-  'Array.prototype.reverse': 'reverse',
-  'Array.prototype.concat': 'concat',
-  'Array.prototype.join': 'join',
-  'Array.prototype.slice': 'slice',
-  'Array.prototype.splice': 'splice',
-  'Array.prototype.push': 'push',
-  'Array.prototype.pop': 'pop',
-  'Array.prototype.shift': 'shift',
-  'Array.prototype.unshift': 'unshift',
-  'Array.prototype.indexOf': 'indexOf',
-  'Array.prototype.lastIndexOf': 'lastIndexOf',
-  
-  // Promise methods
-  'Promise.try': 'try',
-  'Promise.allSettled': 'allSettled',
-  'Promise.any': 'any',
-  'Promise.all': 'all',
-  'Promise.race': 'race',
-  'Promise.resolve': 'resolve',
-  'Promise.reject': 'reject',
-  
-  // String methods
-  'String.prototype.replaceAll': 'replaceAll',
-  'String.prototype.at': 'at',
-  'String.prototype.padStart': 'padStart',
-  'String.prototype.padEnd': 'padEnd',
-  'String.prototype.trimStart': 'trimStart',
-  'String.prototype.trimEnd': 'trimEnd',
-  'String.prototype.startsWith': 'startsWith',
-  'String.prototype.endsWith': 'endsWith',
-  'String.prototype.includes': 'includes',
-  'String.prototype.repeat': 'repeat',
-  'String.prototype.codePointAt': 'codePointAt',
-  'String.prototype.normalize': 'normalize',
-  'String.prototype.matchAll': 'matchAll',
-  'String.prototype.replace': 'replace',
-  'String.prototype.search': 'search',
-  'String.prototype.split': 'split',
-  'String.prototype.substring': 'substring',
-  'String.prototype.substr': 'substr',
-  'String.prototype.slice': 'slice',
-  'String.prototype.indexOf': 'indexOf',
-  'String.prototype.lastIndexOf': 'lastIndexOf',
-  'String.prototype.charCodeAt': 'charCodeAt',
-  'String.prototype.fromCharCode': 'fromCharCode',
-  'String.prototype.fromCodePoint': 'fromCodePoint',
-  'String.prototype.raw': 'raw',
-  
-  // Object methods
-  'Object.hasOwn': 'hasOwn',
-  'Object.groupBy': 'groupBy',
-  'Object.fromEntries': 'fromEntries',
-  'Object.assign': 'assign',
-  'Object.create': 'create',
-  'Object.defineProperty': 'defineProperty',
-  'Object.defineProperties': 'defineProperties',
-  'Object.freeze': 'freeze',
-  'Object.seal': 'seal',
-  'Object.preventExtensions': 'preventExtensions',
-  'Object.isFrozen': 'isFrozen',
-  'Object.isSealed': 'isSealed',
-  'Object.isExtensible': 'isExtensible',
-  'Object.keys': 'keys',
-  'Object.values': 'values',
-  'Object.entries': 'entries',
-  'Object.getOwnPropertyNames': 'getOwnPropertyNames',
-  'Object.getOwnPropertySymbols': 'getOwnPropertySymbols',
-  'Object.getOwnPropertyDescriptor': 'getOwnPropertyDescriptor',
-  'Object.getOwnPropertyDescriptors': 'getOwnPropertyDescriptors',
-  'Object.getPrototypeOf': 'getPrototypeOf',
-  'Object.setPrototypeOf': 'setPrototypeOf',
-  'Object.is': 'is',
-  
-  // Number methods
-  'Number.isFinite': 'isFinite',
-  'Number.isInteger': 'isInteger',
-  'Number.isNaN': 'isNaN',
-  'Number.isSafeInteger': 'isSafeInteger',
-  'Number.parseFloat': 'parseFloat',
-  'Number.parseInt': 'parseInt',
-  'Number.EPSILON': 'EPSILON',
-  'Number.MAX_SAFE_INTEGER': 'MAX_SAFE_INTEGER',
-  'Number.MIN_SAFE_INTEGER': 'MIN_SAFE_INTEGER',
-  'Number.MAX_VALUE': 'MAX_VALUE',
-  'Number.MIN_VALUE': 'MIN_VALUE',
-  'Number.POSITIVE_INFINITY': 'POSITIVE_INFINITY',
-  'Number.NEGATIVE_INFINITY': 'NEGATIVE_INFINITY',
-  
-  // Math methods
-  'Math.trunc': 'trunc',
-  'Math.sign': 'sign',
-  'Math.cbrt': 'cbrt',
-  'Math.log2': 'log2',
-  'Math.log10': 'log10',
-  'Math.fround': 'fround',
-  'Math.imul': 'imul',
-  'Math.clz32': 'clz32',
-  'Math.hypot': 'hypot',
-  'Math.acosh': 'acosh',
-  'Math.asinh': 'asinh',
-  'Math.atanh': 'atanh',
-  'Math.sinh': 'sinh',
-  'Math.cosh': 'cosh',
-  'Math.tanh': 'tanh',
-  
-  // RegExp methods
-  'RegExp.prototype.hasIndices': 'hasIndices',
-  'RegExp.prototype.dotAll': 'dotAll',
-  'RegExp.prototype.global': 'global',
-  'RegExp.prototype.ignoreCase': 'ignoreCase',
-  'RegExp.prototype.multiline': 'multiline',
-  'RegExp.prototype.sticky': 'sticky',
-  'RegExp.prototype.unicode': 'unicode',
-  'RegExp.prototype.flags': 'flags',
-  'RegExp.prototype.test': 'test',
-  'RegExp.prototype.exec': 'exec',
-  'RegExp.prototype.toString': 'toString',
-  
-  // Map methods
-  'Map.prototype.has': 'has',
-  'Map.prototype.get': 'get',
-  'Map.prototype.set': 'set',
-  'Map.prototype.delete': 'delete',
-  'Map.prototype.clear': 'clear',
-  'Map.prototype.keys': 'keys',
-  'Map.prototype.values': 'values',
-  'Map.prototype.entries': 'entries',
-  'Map.prototype.forEach': 'forEach',
-  'Map.prototype.size': 'size',
-  
-  // Set methods
-  'Set.prototype.has': 'has',
-  'Set.prototype.add': 'add',
-  'Set.prototype.delete': 'delete',
-  'Set.prototype.clear': 'clear',
-  'Set.prototype.keys': 'keys',
-  'Set.prototype.values': 'values',
-  'Set.prototype.entries': 'entries',
-  'Set.prototype.forEach': 'forEach',
-  'Set.prototype.size': 'size',
-  
-  // WeakMap methods
-  'WeakMap.prototype.has': 'has',
-  'WeakMap.prototype.get': 'get',
-  'WeakMap.prototype.set': 'set',
-  'WeakMap.prototype.delete': 'delete',
-  
-  // WeakSet methods
-  'WeakSet.prototype.has': 'has',
-  'WeakSet.prototype.add': 'add',
-  'WeakSet.prototype.delete': 'delete',
+function isTopLevel(path) {
+  return path.getFunctionParent() === null;
+}
+
+/**
+ * ECMAScript syntax: AST node type -> detector returning { feature, label } for the
+ * javascript.* BCD feature the node uses, or null
+ */
+const SYNTAX_FEATURES = {
+  OptionalMemberExpression: ({ node }) =>
+    node.optional ? { feature: 'operators.optional_chaining', label: '?.' } : null,
+  OptionalCallExpression: ({ node }) =>
+    node.optional ? { feature: 'operators.optional_chaining', label: '?.' } : null,
+  LogicalExpression: ({ node }) =>
+    node.operator === '??' ? { feature: 'operators.nullish_coalescing', label: '??' } : null,
+  AssignmentExpression: ({ node }) =>
+    LOGICAL_ASSIGNMENT_FEATURES[node.operator]
+      ? { feature: LOGICAL_ASSIGNMENT_FEATURES[node.operator], label: node.operator }
+      : null,
+  ClassProperty: ({ node }) => {
+    // TypeScript-only declarations are erased at compile time
+    if (node.declare || node.abstract) return null;
+    return node.static
+      ? { feature: 'classes.static.class_fields', label: 'static class fields' }
+      : { feature: 'classes.public_class_fields', label: 'class fields' };
+  },
+  ClassPrivateProperty: () => ({ feature: 'classes.private_class_fields', label: '#private fields' }),
+  ClassPrivateMethod: () => ({ feature: 'classes.private_class_methods', label: '#private methods' }),
+  BinaryExpression: ({ node }) =>
+    node.operator === 'in' && node.left.type === 'PrivateName'
+      ? { feature: 'classes.private_class_fields_in', label: '#x in obj' }
+      : null,
+  StaticBlock: () => ({ feature: 'classes.static.initialization_blocks', label: 'static { }' }),
+  AwaitExpression: path =>
+    isTopLevel(path) ? { feature: 'operators.await.top_level', label: 'top-level await' } : null,
+  ForOfStatement: path =>
+    path.node.await && isTopLevel(path) ? { feature: 'operators.await.top_level', label: 'top-level await' } : null,
+  NumericLiteral: ({ node }) =>
+    node.extra?.raw?.includes('_') ? { feature: 'grammar.numeric_separators', label: 'numeric separators' } : null,
+  BigIntLiteral: ({ node }) =>
+    node.extra?.raw?.includes('_') ? { feature: 'grammar.numeric_separators', label: 'numeric separators' } : null,
+  ImportDeclaration: ({ node }) =>
+    node.attributes?.length ? { feature: 'statements.import.import_attributes', label: 'import attributes' } : null,
+  ExportNamedDeclaration: ({ node }) =>
+    node.attributes?.length ? { feature: 'statements.import.import_attributes', label: 'import attributes' } : null,
+  ExportAllDeclaration: ({ node }) =>
+    node.attributes?.length ? { feature: 'statements.import.import_attributes', label: 'import attributes' } : null
+};
+
+// Prototypes whose methods are detected on arbitrary receivers
+const PROTOTYPE_RECEIVERS = ['Array', 'String'];
+
+// Value properties of the global object that are used like literals
+const LITERAL_GLOBALS = new Set(['undefined', 'NaN', 'Infinity']);
+
+// Typed arrays inherit their methods from the TypedArray intrinsic
+const TYPED_ARRAY = /^(Int8|Uint8|Uint8Clamped|Int16|Uint16|Int32|Uint32|Float16|Float32|Float64|BigInt64|BigUint64)Array$/;
+
+// Method name -> builtins whose prototype has it
+const PROTOTYPE_OWNERS = new Map();
+for (const [name, builtin] of Object.entries(JS_BUILTINS)) {
+  for (const method of builtin.prototype) {
+    PROTOTYPE_OWNERS.set(method, [...(PROTOTYPE_OWNERS.get(method) || []), name]);
+  }
+}
+
+/**
+ * Get the builtin global an identifier refers to, or null when it's a local
+ * binding or not a builtin (TypedArray and other intrinsics have no global)
+ */
+function getBuiltin(path, name) {
+  if (!Object.hasOwn(JS_BUILTINS, name) || JS_BUILTINS[name].kind === 'intrinsic' || path.scope.getBinding(name)) {
+    return null;
+  }
+  return JS_BUILTINS[name];
+}
+
+/**
+ * Check whether a builtin identifier is the object of a member the builtin
+ * member checks already report: Array.from, Intl.Segmenter, Array.prototype.at
+ */
+function isCheckedMemberObject(path, builtin) {
+  const { node, parent } = path;
+  if (parent.type !== 'MemberExpression' || parent.object !== node || parent.computed || parent.property.type !== 'Identifier') {
+    return false;
+  }
+
+  const { name } = parent.property;
+  if (builtin.static.includes(name)) {
+    return true;
+  }
+  const outer = path.parentPath.parent;
+  return name === 'prototype' && outer.type === 'MemberExpression' && outer.object === parent && !outer.computed &&
+    outer.property.type === 'Identifier' && builtin.prototype.includes(outer.property.name);
+}
+
+/**
+ * Find the builtin prototypes a method call could resolve to given its
+ * receiver type (a builtin name, 'other', or null when unknown)
+ */
+function getPrototypeCandidates(methodName, receiverType) {
+  const owners = PROTOTYPE_OWNERS.get(methodName) || [];
   
-  // Symbol methods
-  'Symbol.for': 'for',
-  'Symbol.keyFor': 'keyFor',
-  'Symbol.hasInstance': 'hasInstance',
-  'Symbol.isConcatSpreadable': 'isConcatSpreadable',
-  'Symbol.iterator': 'iterator',
-  'Symbol.match': 'match',
-  'Symbol.replace': 'replace',
-  'Symbol.search': 'search',
-  'Symbol.species': 'species',
-  'Symbol.split': 'split',
-  'Symbol.toPrimitive': 'toPrimitive',
-  'Symbol.toStringTag': 'toStringTag',
-  'Symbol.unscopables': 'unscopables',
+  if (receiverType === 'other') {
+    return [];
+  }
+  // Intl objects, e.g. Intl.Segmenter, have no global of their own in the catalogue
+  if (receiverType?.startsWith('Intl.')) {
+    return hasBCDKey(`javascript.builtins.${receiverType}.${methodName}`) ? [receiverType] : [];
+  }
+  if (receiverType) {
+    const type = TYPED_ARRAY.test(receiverType) && !owners.includes(receiverType) ? 'TypedArray' : receiverType;
+    return owners.includes(type) ? [type] : [];
+  }
   
-  // Proxy methods
-  'Proxy.revocable': 'revocable',
+  // Unknown receivers are guessed among the common prototypes' methods only: a
+  // name one other builtin owns (take(), description) is as likely a library's
+  return PROTOTYPE_RECEIVERS.filter(type => JS_BUILTINS[type].methods.includes(methodName));
+}
+
+/**
+ * Get the Intl constructor a callee refers to, e.g. 'Intl.Segmenter' for
+ * new Intl.Segmenter(), or null
+ */
+function getIntlConstructor(path, callee) {
+  if (callee?.type !== 'MemberExpression' || callee.computed || callee.object.type !== 'Identifier' ||
+      callee.object.name !== 'Intl' || !getBuiltin(path, 'Intl')) {
+    return null;
+  }
+  const { name } = callee.property;
+  return /^[A-Z]/.test(name) && JS_BUILTINS.Intl.static.includes(name) ? `Intl.${name}` : null;
+}
+
+/**
+ * Check whether an Intl constructor is the object of one of its static members,
+ * e.g. Intl.Segmenter in Intl.Segmenter.supportedLocalesOf()
+ */
+function isIntlStaticObject(path) {
+  const { parent } = path;
+  if (!path.parentPath.isMemberExpression() || parent.object !== path.node || parent.computed || parent.property.type !== 'Identifier') {
+    return false;
+  }
+  const intlConstructor = getIntlConstructor(path, path.node);
+  return Boolean(intlConstructor) && hasBCDKey(`javascript.builtins.${intlConstructor}.${parent.property.name}`);
+}
+
+// EventTarget methods taking an event name first
+const EVENT_LISTENER_METHODS = new Set(['addEventListener', 'removeEventListener']);
+
+// JSX props whose HTML attribute isn't the lowercased name
+const JSX_ATTRIBUTE_NAMES = {
+  className: 'class',
+  htmlFor: 'for',
+  acceptCharset: 'accept-charset',
+  httpEquiv: 'http-equiv'
+};
+
+// React props that never reach the DOM as attributes
+const REACT_PROPS = new Set([
+  'key', 'ref', 'children', 'dangerouslySetInnerHTML', 'defaultValue', 'defaultChecked',
+  'suppressContentEditableWarning', 'suppressHydrationWarning'
+]);
+
+/**
+ * Get the HTML attribute a JSX prop sets, e.g. fetchPriority -> fetchpriority,
+ * or null for React-only props and event handlers (onClick)
+ */
+function getJSXAttribute(name) {
+  if (REACT_PROPS.has(name) || /^on[A-Z]/.test(name)) return null;
+  return JSX_ATTRIBUTE_NAMES[name] || name.toLowerCase();
+}
+
+/**
+ * Check whether a web API expression is the object of a deeper member that
+ * resolves, so that a member chain reports its deepest key only:
+ * navigator.clipboard.writeText is Clipboard.writeText, not Window.navigator
+ * and Navigator.clipboard as well. Interface objects reached through
+ * .prototype, targets of on<event> handlers and objects of 'x' in obj tests
+ * count as chain objects too.
+ */
+function isWebAPIChainObject(path) {
+  // 'startViewTransition' in document tests the member, not the object
+  const { parent } = path;
+  if (path.parentPath.isBinaryExpression({ operator: 'in' }) && parent.right === path.node && parent.left.type === 'StringLiteral') {
+    return true;
+  }
+
+  const resolvesMember = (objectPath, member) => Boolean(member) &&
+    (resolveMemberAPI(objectPath, member) !== null ||
+      (/^on[a-z]+$/.test(member) && resolveEventAPI(objectPath, member.slice(2)) !== null));
+
+  // Walk up the chain while its objects have a known type: HTMLDialogElement.prototype.showModal
+  for (let current = path; resolveWebAPIType(current); current = current.parentPath) {
+    const { parentPath } = current;
+    if (!(parentPath.isMemberExpression() || parentPath.isOptionalMemberExpression()) || parentPath.node.object !== current.node) {
+      return false;
+    }
+    const { property, computed } = parentPath.node;
+    const member = computed ? property.type === 'StringLiteral' && property.value : property.type === 'Identifier' && property.name;
+    if (resolvesMember(current, member)) return true;
+  }
+  return false;
+}
+
+// Methods whose return type is known regardless of the receiver
+const ARRAY_RETURNING_CALLS = new Set(['Array.from', 'Array.of', 'Object.keys', 'Object.values', 'Object.entries']);
+const ARRAY_RETURNING_METHODS = new Set(['split', 'match', 'matchAll']);
+const STRING_RETURNING_METHODS = new Set(['join', 'toString', 'toUpperCase', 'toLowerCase', 'trim', 'padStart', 'padEnd', 'repeat']);
+
+// Methods that return the same type as their receiver
+const RECEIVER_PRESERVING_METHODS = new Set([
+  'map', 'filter', 'slice', 'concat', 'flat', 'flatMap', 'reverse', 'sort',
+  'toReversed', 'toSorted', 'toSpliced', 'with', 'fill', 'copyWithin',
+  'replace', 'replaceAll', 'substring', 'trimStart', 'trimEnd', 'normalize'
+]);
+
+/**
+ * Infer the type of a method call receiver from its syntax: 'Array', 'String',
+ * 'other' for values that are neither, or null when it cannot be told
+ */
+function inferReceiverType(path, depth = 0) {
+  const { node } = path;
+  if (!node || depth > 5) return null;
   
-  // Reflect methods
-  'Reflect.apply': 'apply',
-  'Reflect.construct': 'construct',
-  'Reflect.defineProperty': 'defineProperty',
-  'Reflect.deleteProperty': 'deleteProperty',
-  'Reflect.get': 'get',
-  'Reflect.getOwnPropertyDescriptor': 'getOwnPropertyDescriptor',
-  'Reflect.getPrototypeOf': 'getPrototypeOf',
-  'Reflect.has': 'has',
-  'Reflect.isExtensible': 'isExtensible',
-  'Reflect.ownKeys': 'ownKeys',
-  'Reflect.preventExtensions': 'preventExtensions',
-  'Reflect.set': 'set',
-  'Reflect.setPrototypeOf': 'setPrototypeOf',
+  // Web platform values (NodeList, DOMTokenList) have their own methods
+  if (resolveWebAPIType(path)) {
+    return 'other';
+  }
   
-  // Global functions
-  'structuredClone': 'structuredClone',
-  'queueMicrotask': 'queueMicrotask',
-  'requestIdleCallback': 'requestIdleCallback',
-  'cancelIdleCallback': 'cancelIdleCallback',
-  'requestAnimationFrame': 'requestAnimationFrame',
-  'cancelAnimationFrame': 'cancelAnimationFrame',
-  'setTimeout': 'setTimeout',
-  'clearTimeout': 'clearTimeout',
-  'setInterval': 'setInterval',
-  'clearInterval': 'clearInterval',
-  'setImmediate': 'setImmediate',
-  'clearImmediate': 'clearImmediate',
-  'fetch': 'fetch',
-  'BigInt': 'BigInt',
-  'globalThis': 'globalThis',
-  'atob': 'atob',
-  'btoa': 'btoa',
-  'encodeURI': 'encodeURI',
-  'decodeURI': 'decodeURI',
-  'encodeURIComponent': 'encodeURIComponent',
-  'decodeURIComponent': 'decodeURIComponent',
-  'escape': 'escape',
-  'unescape': 'unescape',
-  'isNaN': 'isNaN',
-  'isFinite': 'isFinite',
-  'parseInt': 'parseInt',
-  'parseFloat': 'parseFloat',
-  'eval': 'eval',
-  'Function': 'Function',
-  'Array': 'Array',
-  'Object': 'Object',
-  'String': 'String',
-  'Number': 'Number',
-  'Boolean': 'Boolean',
-  'Date': 'Date',
-  'RegExp': 'RegExp',
-  'Error': 'Error',
-  'TypeError': 'TypeError',
-  'ReferenceError': 'ReferenceError',
-  'SyntaxError': 'SyntaxError',
-  'RangeError': 'RangeError',
-  'EvalError': 'EvalError',
-  'URIError': 'URIError',
-  'Map': 'Map',
-  'Set': 'Set',
-  'WeakMap': 'WeakMap',
-  'WeakSet': 'WeakSet',
-  'Symbol': 'Symbol',
-  'Proxy': 'Proxy',
-  'Reflect': 'Reflect',
-  'Promise': 'Promise',
-  'Generator': 'Generator',
-  'GeneratorFunction': 'GeneratorFunction',
-  'AsyncFunction': 'AsyncFunction',
-  'AsyncGenerator': 'AsyncGenerator',
-  'AsyncGeneratorFunction': 'AsyncGeneratorFunction',
-  'Intl': 'Intl',
-  'JSON': 'JSON',
-  'Math': 'Math',
-  'console': 'console',
-  'performance': 'performance',
-  'crypto': 'crypto',
-  'location': 'location',
-  'history': 'history',
-  'navigator': 'navigator',
-  'screen': 'screen',
-  'document': 'document',
-  'window': 'window',
-  'global': 'global',
-  'globalThis': 'globalThis',
-  'self': 'self',
-  'top': 'top',
-  'parent': 'parent',
-  'frames': 'frames',
-  'length': 'length',
-  'name': 'name',
-  'status': 'status',
-  'opener': 'opener',
-  'closed': 'closed',
-  'innerWidth': 'innerWidth',
-  'innerHeight': 'innerHeight',
-  'outerWidth': 'outerWidth',
-  'outerHeight': 'outerHeight',
-  'screenX': 'screenX',
-  'screenY': 'screenY',
-  'screenLeft': 'screenLeft',
-  'screenTop': 'screenTop',
-  'scrollX': 'scrollX',
-  'scrollY': 'scrollY',
-  'pageXOffset': 'pageXOffset',
-  'pageYOffset': 'pageYOffset',
-  'devicePixelRatio': 'devicePixelRatio',
-  'orientation': 'orientation',
-  'onload': 'onload',
-  'onunload': 'onunload',
-  'onbeforeunload': 'onbeforeunload',
-  'onresize': 'onresize',
-  'onscroll': 'onscroll',
-  'onfocus': 'onfocus',
-  'onblur': 'onblur',
-  'onerror': 'onerror',
-  'onabort': 'onabort',
-  'onbeforeprint': 'onbeforeprint',
-  'onafterprint': 'onafterprint',
-  'onhashchange': 'onhashchange',
-  'onlanguagechange': 'onlanguagechange',
-  'onmessage': 'onmessage',
-  'onmessageerror': 'onmessageerror',
-  'onoffline': 'onoffline',
-  'ononline': 'ononline',
-  'onpagehide': 'onpagehide',
-  'onpageshow': 'onpageshow',
-  'onpopstate': 'onpopstate',
-  'onrejectionhandled': 'onrejectionhandled',
-  'onstorage': 'onstorage',
-  'onunhandledrejection': 'onunhandledrejection',
-  'onvisibilitychange': 'onvisibilitychange'
-};
+  switch (node.type) {
+    case 'ArrayExpression':
+      return 'Array';
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+      return 'String';
+    case 'NumericLiteral':
+    case 'BigIntLiteral':
+    case 'BooleanLiteral':
+    case 'NullLiteral':
+    case 'ObjectExpression':
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+    case 'ClassExpression':
+      return 'other';
+    case 'RegExpLiteral':
+      return 'RegExp';
+    case 'NewExpression':
+      if (node.callee.type === 'Identifier' && getBuiltin(path, node.callee.name)?.kind === 'constructor') {
+        return node.callee.name;
+      }
+      // Instances of user classes are neither Array nor String
+      return getIntlConstructor(path, node.callee) ?? 'other';
+    case 'Identifier': {
+      // Builtins themselves (Array.from) are static calls, not prototype ones
+      if (getBuiltin(path, node.name)) {
+        return 'other';
+      }
+      
+      // Follow variables that are initialized once and never reassigned
+      const binding = path.scope.getBinding(node.name);
+      if (binding && binding.constantViolations.length === 0 && binding.path.isVariableDeclarator()) {
+        const init = binding.path.get('init');
+        return init.node ? inferReceiverType(init, depth + 1) : null;
+      }
+      return null;
+    }
+    case 'CallExpression': {
+      const { callee } = node;
+      if (callee.type === 'Identifier' && callee.name === 'String') {
+        return 'String';
+      }
+      // Intl constructors can be called without new
+      if (getIntlConstructor(path, callee)) {
+        return getIntlConstructor(path, callee);
+      }
+      if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') {
+        return null;
+      }
+      
+      const method = callee.property.name;
+      if (callee.object.type === 'Identifier' && ARRAY_RETURNING_CALLS.has(`${callee.object.name}.${method}`)) {
+        return 'Array';
+      }
+      if (ARRAY_RETURNING_METHODS.has(method)) {
+        return 'Array';
+      }
+      if (STRING_RETURNING_METHODS.has(method)) {
+        return 'String';
+      }
+      if (RECEIVER_PRESERVING_METHODS.has(method)) {
+        const receiverType = inferReceiverType(path.get('callee.object'), depth + 1);
+        return receiverType === 'Array' || receiverType === 'String' || receiverType === 'other' ? receiverType : null;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
 
 /**
- * Analyze JavaScript content
+ * Analyze JavaScript content; lang ('js', 'jsx', 'ts' or 'tsx') picks the syntax
+ * extensions to parse
  */
 export function analyzeJSContent(jsContent, options = {}) {
-  const { requiredLevel = 'low' } = options;
-  const issues = [];
-  const foundAPIs = new Set();
+  const { requiredLevel = 'low', guardedSeverity = 'info', groupByFeature = false, resolveReceiverType = null, lang = null } = options;
+  const context = { requiredLevel, guardedSeverity, source: jsContent };
+  let issues = [];
 
   try {
     const ast = parse(jsContent, {
       sourceType: 'module',
-      plugins: ['jsx', 'typescript'],
+      plugins: LANG_PLUGINS[lang] ?? DEFAULT_PLUGINS,
       errorRecovery: true
     });
 
-    traverse(ast, {
-      // Check for .at() usage and other method calls
+    // Hashbang (#!) lines are kept off the program body
+    if (ast.program.interpreter) {
+      checkSyntax({ feature: 'grammar.hashbang_comments', label: '#!' }, ast.program.interpreter, issues, context);
+    }
+    
+    // Check ECMAScript syntax features
+    const syntaxVisitors = Object.fromEntries(
+      Object.entries(SYNTAX_FEATURES).map(([nodeType, detect]) => [nodeType, path => {
+        const syntax = detect(path);
+        if (syntax) {
+          checkSyntax(syntax, path.node, issues, context);
+        }
+      }])
+    );
+    
+    // Check web platform APIs: globals, constructors and member chains
+    const webAPIVisitor = path => {
+      const webAPI = resolveWebAPI(path);
+      if (webAPI && !isWebAPIChainObject(path)) {
+        const location = path.isMemberExpression() || path.isOptionalMemberExpression() ? path.get('property') : path;
+        checkWeb(webAPI, location, issues, context);
+      }
+    };
+    
+    // Check regular expression features, e.g. /(?<=\$)\d+/ or new RegExp('\\p{L}', 'v')
+    const regExpVisitor = {
+      RegExpLiteral(path) {
+        const { pattern, flags } = path.node;
+        checkRegExp(findRegExpFeatures(pattern, flags), path.node, path.node, issues, context);
+      },
+      'CallExpression|NewExpression'(path) {
+        const { callee, arguments: [patternArg, flagsArg] } = path.node;
+        if (callee.type !== 'Identifier' || callee.name !== 'RegExp' || !getBuiltin(path, 'RegExp')) return;
+
+        const pattern = getStaticString(patternArg);
+        const flags = flagsArg ? getStaticString(flagsArg) : '';
+        if (pattern !== null && flags !== null) {
+          checkRegExp(findRegExpFeatures(pattern, flags), patternArg, flagsArg, issues, context);
+        }
+      }
+    };
+    
+    // Check DOM events, e.g. el.addEventListener('scrollend', fn) or dialog.onbeforetoggle = fn
+    const eventVisitor = {
+      CallExpression(path) {
+        const { callee, arguments: [eventArg] } = path.node;
+        const isMember = callee.type === 'MemberExpression' && !callee.computed;
+        const name = isMember ? callee.property.name : callee.type === 'Identifier' && !path.scope.getBinding(callee.name) && callee.name;
+        const event = getStaticString(eventArg);
+        if (!EVENT_LISTENER_METHODS.has(name) || !event) return;
+        
+        const eventAPI = resolveEventAPI(isMember ? path.get('callee.object') : null, event);
+        if (eventAPI) {
+          checkEvent(eventAPI, path.get('arguments')[0], issues, context);
+        }
+      },
+      AssignmentExpression(path) {
+        const left = path.get('left');
+        const { node } = left;
+        const isMember = left.isMemberExpression() && !node.computed;
+        const name = isMember ? node.property.name : left.isIdentifier() && !path.scope.getBinding(node.name) && node.name;
+        if (!/^on[a-z]+$/.test(name)) return;
+        
+        const eventAPI = resolveEventAPI(isMember ? left.get('object') : null, name.slice(2));
+        if (eventAPI) {
+          checkEvent(eventAPI, isMember ? left.get('property') : left, issues, context);
+        }
+      }
+    };
+    
+    // Check CSS set through the CSSOM, e.g. el.style.containerType = 'inline-size'
+    const cssomVisitor = {
+      'AssignmentExpression|CallExpression'(path) {
+        for (const declaration of findCSSOMDeclarations(path)) {
+          checkCSSOM(declaration, issues, context);
+        }
+      }
+    };
+    
+    // Check CSS-in-JS styles, e.g. styled.div`container-type: inline-size`, sx={{ containerType: 'inline-size' }}
+    const cssInJSVisitor = {
+      'TaggedTemplateExpression|CallExpression|JSXAttribute'(path) {
+        const styles = findCSSInJS(path);
+        if (styles) {
+          checkCSSInJS(styles, issues, context);
+        }
+      }
+    };
+    
+    // Check the markup of HTML tagged templates, e.g. html`<dialog popover>`
+    const htmlTemplateVisitor = {
+      TaggedTemplateExpression(path) {
+        const template = findHTMLTemplate(path);
+        if (template) {
+          checkHTMLTemplate(template, issues, context);
+        }
+      }
+    };
+    
+    // Check intrinsic JSX elements and their props like HTML, e.g. <dialog>, <img fetchPriority="high">
+    const jsxVisitor = {
+      JSXOpeningElement(path) {
+        const { name } = path.node;
+        if (name.type !== 'JSXIdentifier' || !/^[a-z]/.test(name.name)) return;
+        
+        const element = name.name;
+        const elementResult = checkHTMLElement(element);
+        if (elementResult) {
+          checkHTML(elementResult, path.get('name'), issues, context, { api: `<${element}>`, element: `<${element}>` });
+        }
+        
+        for (const attributePath of path.get('attributes')) {
+          const { node } = attributePath;
+          if (!attributePath.isJSXAttribute() || node.name.type !== 'JSXIdentifier') continue;
+          
+          const attribute = getJSXAttribute(node.name.name);
+          const value = getStaticString(node.value?.type === 'JSXExpressionContainer' ? node.value.expression : node.value);
+          const attributeResult = attribute && checkHTMLAttribute(element, attribute, value);
+          if (attributeResult) {
+            checkHTML(attributeResult, attributePath.get('name'), issues, context, {
+              api: `<${element}> ${attribute}`,
+              element: `<${element}>`,
+              attribute,
+              value
+            });
+          }
+        }
+      }
+    };
+    
+    traverse(ast, traverse.visitors.merge([syntaxVisitors, regExpVisitor, eventVisitor, cssomVisitor, cssInJSVisitor, htmlTemplateVisitor, jsxVisitor, {
+      'MemberExpression|OptionalMemberExpression|NewExpression|Identifier': webAPIVisitor
+    }, {
+      // Check builtin methods and properties, e.g. arr.at(-1), Promise.withResolvers()
       MemberExpression(path) {
         const { object, property } = path.node;
         
-        if (property.type === 'Identifier') {
+        if (property.type === 'Identifier' && !path.node.computed) {
           const methodName = property.name;
           
-          // Check if it's an Array method we care about
-          if (JS_APIS[`Array.prototype.${methodName}`]) {
-            const apiPath = `Array.prototype.${methodName}`;
-            if (!foundAPIs.has(apiPath)) {
-              foundAPIs.add(apiPath);
-              checkAPI(apiPath, path, issues, requiredLevel);
-            }
-          }
-          
-          // Check for String methods
-          if (JS_APIS[`String.prototype.${methodName}`]) {
-            const apiPath = `String.prototype.${methodName}`;
-            if (!foundAPIs.has(apiPath)) {
-              foundAPIs.add(apiPath);
-              checkAPI(apiPath, path, issues, requiredLevel);
-            }
-          }
-          
-          // Check for Promise methods
-          if (object.type === 'Identifier' && object.name === 'Promise') {
-            const apiPath = `Promise.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
-          }
-          
-          // Check for Object methods
-          if (object.type === 'Identifier' && object.name === 'Object') {
-            const apiPath = `Object.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
-          }
-          
-          // Check for Number methods
-          if (object.type === 'Identifier' && object.name === 'Number') {
-            const apiPath = `Number.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
-          }
-          
-          // Check for Math methods
-          if (object.type === 'Identifier' && object.name === 'Math') {
-            const apiPath = `Math.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
+          // Check prototype method calls, e.g. arr.at(-1), str.replaceAll(), set.union()
+          const isMethodCall = path.parentPath.isCallExpression() && path.parent.callee === path.node;
+          if (isMethodCall) {
+            // Prefer the type checker's answer, fall back to the receiver's syntax
+            const receiverType = resolveReceiverType?.(path.node.object.start) ?? inferReceiverType(path.get('object'));
+            const candidates = getPrototypeCandidates(methodName, receiverType);
+            
+            // A known receiver settles the prototype; otherwise every candidate is reported
+            let confidence = 'high';
+            if (receiverType === null) {
+              confidence = candidates.length > 1 ? 'low' : 'medium';
             }
-          }
-          
-          // Check for RegExp methods
-          if (object.type === 'Identifier' && object.name === 'RegExp') {
-            const apiPath = `RegExp.prototype.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
+            
+            for (const type of candidates) {
+              checkAPI(`${type}.prototype.${methodName}`, path.get('property'), issues, context, { confidence });
             }
-          }
-          
-          // Check for Map methods
-          if (object.type === 'Identifier' && object.name === 'Map') {
-            const apiPath = `Map.prototype.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
+            if (candidates.length === 1 && candidates[0].startsWith('Intl.')) {
+              checkIntlOptions(`${candidates[0]}.${methodName}`, path.parentPath, issues, context);
             }
           }
           
-          // Check for Set methods
-          if (object.type === 'Identifier' && object.name === 'Set') {
-            const apiPath = `Set.prototype.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
-          }
-          
-          // Check for WeakMap methods
-          if (object.type === 'Identifier' && object.name === 'WeakMap') {
-            const apiPath = `WeakMap.prototype.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
-          }
-          
-          // Check for WeakSet methods
-          if (object.type === 'Identifier' && object.name === 'WeakSet') {
-            const apiPath = `WeakSet.prototype.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
-          }
-          
-          // Check for Symbol methods
-          if (object.type === 'Identifier' && object.name === 'Symbol') {
-            const apiPath = `Symbol.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
+          // Check static members, e.g. Array.fromAsync(), Promise.withResolvers(), Intl.Segmenter;
+          // Intl.Segmenter.supportedLocalesOf() reports its deepest key only
+          if (object.type === 'Identifier' && getBuiltin(path, object.name)?.static.includes(methodName) &&
+              !isIntlStaticObject(path)) {
+            checkAPI(`${object.name}.${methodName}`, path, issues, context);
           }
           
-          // Check for Proxy methods
-          if (object.type === 'Identifier' && object.name === 'Proxy') {
-            const apiPath = `Proxy.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
+          // Check static members of Intl objects, e.g. Intl.Segmenter.supportedLocalesOf()
+          const intlConstructor = getIntlConstructor(path, object);
+          if (intlConstructor && hasBCDKey(`javascript.builtins.${intlConstructor}.${methodName}`)) {
+            checkAPI(`${intlConstructor}.${methodName}`, path, issues, context);
+            if (isMethodCall) {
+              checkIntlOptions(`${intlConstructor}.${methodName}`, path.parentPath, issues, context);
             }
           }
           
-          // Check for Reflect methods
-          if (object.type === 'Identifier' && object.name === 'Reflect') {
-            const apiPath = `Reflect.${methodName}`;
-            if (JS_APIS[apiPath]) {
-              if (!foundAPIs.has(apiPath)) {
-                foundAPIs.add(apiPath);
-                checkAPI(apiPath, path, issues, requiredLevel);
-              }
-            }
+          // Check explicit prototype access, e.g. Array.prototype.at.call(list, -1)
+          const isPrototype = object.type === 'MemberExpression' && !object.computed &&
+            object.property.type === 'Identifier' && object.property.name === 'prototype' &&
+            object.object.type === 'Identifier';
+          if (isPrototype && getBuiltin(path, object.object.name)?.prototype.includes(methodName)) {
+            checkAPI(`${object.object.name}.prototype.${methodName}`, path, issues, context);
           }
         }
       },
       
-      // Check for global functions like structuredClone
+      // Check the options passed to Intl constructors, e.g. new Intl.NumberFormat('en', { roundingMode })
+      'CallExpression|NewExpression'(path) {
+        const intlConstructor = getIntlConstructor(path, path.node.callee);
+        if (intlConstructor) {
+          checkIntlOptions(`${intlConstructor}.${intlConstructor.slice('Intl.'.length)}`, path, issues, context);
+        }
+      },
+      
+      // Check for global functions like parseInt and calls like Symbol()
       CallExpression(path) {
         const { callee } = path.node;
         
         if (callee.type === 'Identifier') {
-          const functionName = callee.name;
-          
-          if (JS_APIS[functionName]) {
-            if (!foundAPIs.has(functionName)) {
-              foundAPIs.add(functionName);
-              checkAPI(functionName, path, issues, requiredLevel);
-            }
+          const builtin = getBuiltin(path, callee.name);
+          if (builtin?.kind === 'function' || builtin?.kind === 'constructor') {
+            checkAPI(callee.name, path, issues, context);
           }
         }
       },
@@ -543,37 +571,29 @@ export function analyzeJSContent(jsContent, options = {}) {
       NewExpression(path) {
         const { callee } = path.node;
         
-        if (callee.type === 'Identifier') {
-          const constructorName = callee.name;
-          
-          // Check for constructor usage
-          if (JS_APIS[constructorName]) {
-            if (!foundAPIs.has(constructorName)) {
-              foundAPIs.add(constructorName);
-              checkAPI(constructorName, path, issues, requiredLevel);
-            }
-          }
+        if (callee.type === 'Identifier' && getBuiltin(path, callee.name)?.kind === 'constructor') {
+          checkAPI(callee.name, path, issues, context);
         }
       },
       
-      // Check for property access on global objects
+      // Check for references to builtin globals, e.g. globalThis, Intl
       Identifier(path) {
         const { name } = path.node;
+        const builtin = getBuiltin(path, name);
         
-        // Check for global object properties
-        if (JS_APIS[name] && path.isReferencedIdentifier()) {
+        // Type annotations (value: Set<string>) are erased at compile time
+        if (builtin && !LITERAL_GLOBALS.has(name) && path.isReferencedIdentifier() && !path.findParent(parent => parent.isTSType())) {
           const parent = path.parent;
+          const isMember = parent.type === 'MemberExpression' && parent.property === path.node;
+          const isCallee = (parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.callee === path.node;
           
-          // Only check if it's not a method call (handled by MemberExpression)
-          if (parent.type !== 'MemberExpression' || parent.property !== path.node) {
-            if (!foundAPIs.has(name)) {
-              foundAPIs.add(name);
-              checkAPI(name, path, issues, requiredLevel);
-            }
+          // Method calls and static members are handled by MemberExpression, calls by CallExpression/NewExpression
+          if (!isMember && !isCallee && !isCheckedMemberObject(path, builtin)) {
+            checkAPI(name, path, issues, context);
           }
         }
       }
-    });
+    }]));
 
   } catch (error) {
     const errorInfo = handleError(error, { 
@@ -596,39 +616,311 @@ export function analyzeJSContent(jsContent, options = {}) {
     );
   }
 
+  if (groupByFeature) {
+    issues = groupIssuesByFeature(issues);
+  }
+
   return {
     issues,
     summary: {
       total: issues.length,
       errors: issues.filter(i => i.severity === 'error').length,
-      warnings: issues.filter(i => i.severity === 'warning').length
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      guarded: issues.filter(i => i.guarded).length,
+      unguarded: issues.filter(i => !i.guarded).length
     }
   };
 }
 
+/**
+ * Collapse issues into one per feature with an occurrence count and the list of
+ * locations; guarded usages are grouped separately so they can't hide unguarded ones
+ */
+function groupIssuesByFeature(issues) {
+  const groups = new Map();
+  
+  for (const issue of issues) {
+    const key = issue.guarded ? `${issue.bcdKey}:guarded` : issue.bcdKey;
+    const location = { line: issue.line, column: issue.column };
+    const group = groups.get(key);
+    
+    if (!group) {
+      groups.set(key, { ...issue, occurrences: 1, locations: [location] });
+      continue;
+    }
+    group.occurrences++;
+    group.locations.push(location);
+    if (issue.confidence === 'high') {
+      group.confidence = 'high';
+    }
+  }
+  
+  return [...groups.values()];
+}
+
+/**
+ * Mark an issue whose usage sits behind feature detection as guarded
+ */
+function applyFeatureGuard(issue, path, { source, guardedSeverity }) {
+  const guard = findFeatureGuard(path, source);
+  issue.guarded = guard !== null;
+  
+  if (guard) {
+    issue.guard = guard;
+    issue.severity = guardedSeverity;
+    issue.message = `${issue.message} - guarded by ${guard}`;
+  }
+}
+
+/**
+ * Lower an error to a warning when the issue's receiver or target is guessed
+ */
+function applyConfidence(issue) {
+  if (issue.confidence && issue.confidence !== 'high' && issue.severity === 'error') {
+    issue.severity = 'warning';
+  }
+}
+
 /**
  * Check a JavaScript API
  */
-function checkAPI(apiPath, path, issues, requiredLevel) {
+function checkAPI(apiPath, path, issues, context, details = {}) {
   const result = checkJavaScriptAPI(apiPath);
-  const report = generateReport(result, requiredLevel);
+  const report = generateReport(result, context.requiredLevel);
   
   // Include all features for baseline scoring (info, warning, error)
   const loc = path.node.loc;
-  
-  issues.push({
+  const issue = {
     line: loc?.start.line,
     column: loc?.start.column,
     api: apiPath,
+    ...details,
     severity: report.severity,
     message: report.message,
     baseline: report.baseline,
     support: report.support,
     bcdKey: report.bcdKey,
     compatible: report.compatible
+  };
+  
+  applyConfidence(issue);
+  applyFeatureGuard(issue, path, context);
+  issues.push(issue);
+}
+
+/**
+ * Check an ECMAScript syntax feature
+ */
+function checkSyntax({ feature, label }, node, issues, context) {
+  const result = checkJavaScriptSyntax(feature);
+  const report = generateReport(result, context.requiredLevel);
+  
+  // Syntax can't be feature-detected at runtime
+  issues.push({
+    line: node.loc?.start.line,
+    column: node.loc?.start.column,
+    api: label,
+    syntax: true,
+    severity: report.severity,
+    message: report.message,
+    baseline: report.baseline,
+    support: report.support,
+    bcdKey: report.bcdKey,
+    compatible: report.compatible,
+    guarded: false
   });
 }
 
+/**
+ * Check each key of the options object literal passed to an Intl constructor or
+ * method against its BCD sub-key, e.g. Intl.NumberFormat.NumberFormat ->
+ * ...NumberFormat.options_parameter.options_roundingMode_parameter
+ */
+function checkIntlOptions(feature, callPath, issues, context) {
+  const options = callPath.get('arguments')[1];
+  if (!options?.isObjectExpression()) return;
+  
+  for (const property of options.get('properties')) {
+    const { node } = property;
+    if (!property.isObjectProperty() || node.computed) continue;
+    
+    const option = node.key.type === 'Identifier' ? node.key.name : node.key.value;
+    const optionPath = [`${feature}.options_${option}_parameter`, `${feature}.options_parameter.options_${option}_parameter`]
+      .find(candidate => hasBCDKey(`javascript.builtins.${candidate}`));
+    if (optionPath) {
+      const constructor = feature.split('.').slice(0, 2).join('.');
+      checkAPI(optionPath, property.get('key'), issues, context, { api: `${constructor} ${option} option` });
+    }
+  }
+}
+
+/**
+ * Get the value of a string literal or a template literal without expressions
+ */
+function getStaticString(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * Check the features found in a regular expression, pattern features at the
+ * pattern's node and flag features at the flags' node
+ */
+function checkRegExp({ pattern, flags }, patternNode, flagsNode, issues, context) {
+  for (const syntax of pattern) {
+    checkSyntax(syntax, patternNode, issues, context);
+  }
+  for (const syntax of flags) {
+    checkSyntax(syntax, flagsNode, issues, context);
+  }
+}
+
+/**
+ * Check a CSS declaration set from JavaScript like a stylesheet declaration;
+ * names that aren't CSS properties (el.style.foo) are skipped
+ */
+function checkCSSOM({ property, value, path, supports }, issues, context) {
+  for (const body of checkCSSDeclaration(property, value, context.requiredLevel)) {
+    if (!hasBCDKey(body.bcdKey)) continue;
+    
+    const issue = {
+      line: path.node.loc?.start.line,
+      column: path.node.loc?.start.column,
+      api: body.value ? `${property}: ${body.value}` : property,
+      ...body
+    };
+    
+    // CSS.supports() is the feature detection itself
+    if (supports) {
+      issue.guarded = true;
+      issue.guard = context.source.slice(path.parent.start, path.parent.end);
+      issue.severity = context.guardedSeverity;
+      issue.message += ` - guarded by ${issue.guard}`;
+    } else {
+      applyFeatureGuard(issue, path, context);
+    }
+    issues.push(issue);
+  }
+}
+
+/**
+ * Get the label of a CSS issue, e.g. 'container-type: inline-size' or ':has()'
+ */
+function getCSSLabel(issue) {
+  if (issue.atRule && issue.subfeature) return `@${issue.atRule} ${issue.subfeature}`;
+  if (issue.selector) return issue.selector;
+  if (issue.unit) return `${issue.unit} unit`;
+  return issue.value ? `${issue.property}: ${issue.value}` : issue.property;
+}
+
+/**
+ * Check CSS-in-JS styles with the CSS analyzer and move its issues to their
+ * place in the file; nesting a library compiles away and names without BCD
+ * data (theme shorthands, placeholders) are skipped
+ */
+function checkCSSInJS({ css, locate, compiled }, issues, context) {
+  const result = analyzeCSSContent(css, context);
+  
+  for (const issue of result.issues) {
+    const position = locate(issue);
+    if (!position || !hasBCDKey(issue.bcdKey) || (compiled && issue.bcdKey === 'css.selectors.nesting')) continue;
+    
+    const locations = issue.locations?.map(locate).filter(Boolean);
+    issues.push({
+      ...issue,
+      ...position,
+      ...(locations && { locations }),
+      api: getCSSLabel(issue),
+      source: 'css-in-js'
+    });
+  }
+}
+
+/**
+ * Check the markup of an HTML tagged template with the HTML analyzer and move
+ * its issues to their place in the file; attribute values filled by an
+ * interpolation are unknown and a template that can't be analyzed gives a
+ * single error issue
+ */
+function checkHTMLTemplate({ html, origin }, issues, context) {
+  // The HTML analyzer's columns are 1-based, the file's 0-based
+  const templateOrigin = { line: origin.line, column: origin.column + 1 };
+  
+  // A template that fails to analyze doesn't take the rest of the file with it
+  let result;
+  try {
+    result = analyzeHTMLContent(html, context);
+  } catch (error) {
+    issues.push(createEmbeddedErrorIssue(error, templateOrigin, -1, 'html-template'));
+    return;
+  }
+  
+  const templateIssues = mapEmbeddedIssues(result.issues, templateOrigin, -1, 'html-template');
+  for (const issue of templateIssues) {
+    if (issue.value?.includes(TEMPLATE_HOLE)) {
+      issue.value = null;
+    }
+    if (issue.element) {
+      issue.api = issue.attribute ? `${issue.element} ${issue.attribute}` : issue.element;
+    }
+    issue.api ??= getCSSLabel(issue);
+    issues.push(issue);
+  }
+}
+
+/**
+ * Report an HTML element or attribute check from JSX
+ */
+function checkHTML(result, path, issues, context, details) {
+  const report = generateReport(result, context.requiredLevel);
+  const issue = {
+    line: path.node.loc?.start.line,
+    column: path.node.loc?.start.column,
+    ...details,
+    severity: report.severity,
+    message: report.message,
+    baseline: report.baseline,
+    support: report.support,
+    bcdKey: report.bcdKey,
+    compatible: report.compatible
+  };
+  
+  applyFeatureGuard(issue, path, context);
+  issues.push(issue);
+}
+
+/**
+ * Check a DOM event, carrying how sure the target's interface is
+ */
+function checkEvent({ confidence, ...webAPI }, path, issues, context) {
+  checkWeb(webAPI, path, issues, context, { confidence });
+}
+
+/**
+ * Check a web platform API
+ */
+function checkWeb({ api, apiPath }, path, issues, context, details = {}) {
+  const result = checkWebAPI(apiPath);
+  const report = generateReport(result, context.requiredLevel);
+  const issue = {
+    line: path.node.loc?.start.line,
+    column: path.node.loc?.start.column,
+    api,
+    ...details,
+    severity: report.severity,
+    message: report.message,
+    baseline: report.baseline,
+    support: report.support,
+    bcdKey: report.bcdKey,
+    compatible: report.compatible
+  };
+  
+  applyConfidence(issue);
+  applyFeatureGuard(issue, path, context);
+  issues.push(issue);
+}
+
 /**
  * Analyze a JavaScript file
  */
@@ -638,7 +930,11 @@ export const analyzeJSFile = safeAsync(async (filePath, options = {}) => {
       encoding: 'utf-8',
       maxSize: options.maxFileSize || 50 * 1024 * 1024
     });
-    const result = analyzeJSContent(content, options);
+    
+    // Type-aware mode resolves receiver types with the TypeScript checker
+    const resolveReceiverType = options.typeAware ? await createTypeResolver(filePath) : null;
+    const lang = TS_EXTENSIONS[filePath.toLowerCase().split('.').pop()] ?? null;
+    const result = analyzeJSContent(content, { ...options, resolveReceiverType, lang });
     
     return {
       file: filePath,
@@ -671,7 +967,13 @@ export function formatJSIssues(issues) {
       supportInfo = `\n    Support: ${browsers}`;
     }
     
-    return `  ${icon} ${location} - ${issue.api}
+    // Matches on receivers of unknown type may be false positives
+    const confidence = issue.confidence && issue.confidence !== 'high'
+      ? ` (${issue.confidence} confidence)`
+      : '';
+    const occurrences = issue.occurrences > 1 ? ` (${issue.occurrences} occurrences)` : '';
+    
+    return `  ${icon} ${location} - ${issue.api}${confidence}${occurrences}
     ${issue.message}${supportInfo}`;
   }).join('\n\n');
 }
\ No newline at end of file
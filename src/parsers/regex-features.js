@@ -0,0 +1,95 @@
+// src/parsers/regex-features.js
+// Detect regular expression features from a pattern's source and flags
+
+/**
+ * Flags -> javascript.* BCD feature, for flags added after ES3
+ */
+const FLAG_FEATURES = {
+  d: { feature: 'builtins.RegExp.hasIndices', label: 'RegExp d flag' },
+  s: { feature: 'builtins.RegExp.dotAll', label: 'RegExp s flag' },
+  u: { feature: 'builtins.RegExp.unicode', label: 'RegExp u flag' },
+  v: { feature: 'builtins.RegExp.unicodeSets', label: 'RegExp v flag' },
+  y: { feature: 'builtins.RegExp.sticky', label: 'RegExp y flag' }
+};
+
+// Pattern syntax -> javascript.regular_expressions.* BCD feature
+const LOOKBEHIND = { feature: 'regular_expressions.lookbehind_assertion', label: 'RegExp lookbehind (?<=)' };
+const NAMED_GROUP = { feature: 'regular_expressions.named_capturing_group', label: 'RegExp named group (?<name>)' };
+const DUPLICATE_NAMED_GROUPS = {
+  feature: 'regular_expressions.named_capturing_group.duplicate_named_capturing_groups',
+  label: 'RegExp duplicate named groups'
+};
+const NAMED_BACKREFERENCE = { feature: 'regular_expressions.named_backreference', label: 'RegExp named backreference \\k<name>' };
+const PROPERTY_ESCAPE = { feature: 'regular_expressions.unicode_character_class_escape', label: 'RegExp Unicode property escape \\p{...}' };
+const MODIFIER = { feature: 'regular_expressions.modifier', label: 'RegExp modifier (?i:)' };
+
+/**
+ * Scan a pattern for its syntax features, skipping escapes and the contents of
+ * character classes
+ */
+function scanPattern(pattern, flags) {
+  const found = new Map();
+  const groupNames = new Set();
+  const unicodeMode = flags.includes('u') || flags.includes('v');
+  let classDepth = 0;
+
+  const add = feature => found.set(feature.feature, feature);
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      // \p{...} is only a property escape in Unicode mode, otherwise it matches "p{"
+      if ((next === 'p' || next === 'P') && unicodeMode && pattern[i + 2] === '{') {
+        add(PROPERTY_ESCAPE);
+      } else if (next === 'k' && pattern[i + 2] === '<' && classDepth === 0) {
+        add(NAMED_BACKREFERENCE);
+      }
+      i++;
+      continue;
+    }
+
+    // Classes nest only with the v flag: [\p{L}--[a-z]]
+    if (char === '[' && (classDepth === 0 || flags.includes('v'))) {
+      classDepth++;
+      continue;
+    }
+    if (char === ']' && classDepth > 0) {
+      classDepth--;
+      continue;
+    }
+    if (classDepth > 0 || char !== '(' || pattern[i + 1] !== '?') {
+      continue;
+    }
+
+    const rest = pattern.slice(i + 2);
+    if (rest.startsWith('<=') || rest.startsWith('<!')) {
+      add(LOOKBEHIND);
+    } else if (rest.startsWith('<')) {
+      const name = rest.slice(1, rest.indexOf('>'));
+      add(NAMED_GROUP);
+      if (groupNames.has(name)) {
+        add(DUPLICATE_NAMED_GROUPS);
+      }
+      groupNames.add(name);
+    } else if (/^[ims]*(-[ims]+)?:/.test(rest) && !rest.startsWith(':')) {
+      add(MODIFIER);
+    }
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Find the regular expression features a pattern and its flags use, each once
+ *
+ * Returns { pattern, flags } lists of { feature, label }, feature being the
+ * javascript.* BCD feature.
+ */
+export function findRegExpFeatures(pattern, flags = '') {
+  return {
+    pattern: scanPattern(pattern, flags),
+    flags: [...new Set(flags)].map(flag => FLAG_FEATURES[flag]).filter(Boolean)
+  };
+}
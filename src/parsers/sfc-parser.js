@@ -0,0 +1,256 @@
+// src/parsers/sfc-parser.js
+// Parse Vue, Svelte and Astro single-file components and check Baseline compatibility
+
+import { ParseError, handleError, safeAsync } from '../utils/error-handler.js';
+import { readFileWithCleanup } from '../utils/file-handler.js';
+import { analyzeCSSContent } from './css-parser.js';
+import { analyzeJSContent } from './js-parser.js';
+import { analyzeHTMLContent } from './html-parser.js';
+import { tokenizeHTML } from './html-tokenizer.js';
+import { createLocator, mapEmbeddedIssues, createEmbeddedErrorIssue } from './source-positions.js';
+
+// File extension -> framework
+export const SFC_FRAMEWORKS = {
+  vue: 'vue',
+  svelte: 'svelte',
+  astro: 'astro'
+};
+
+// Block languages the JS and CSS analyzers understand; other langs (scss, coffee) are skipped
+const SCRIPT_LANGS = new Set(['', 'js', 'jsx', 'ts', 'tsx']);
+const STYLE_LANGS = new Set(['', 'css', 'postcss']);
+
+// <script type> values that hold JavaScript
+const SCRIPT_TYPES = new Set(['', 'module', 'text/javascript', 'application/javascript']);
+
+// Pseudo-classes compiled away by scoped styles (Vue scoped, Svelte and Astro
+// styles) and CSS modules, e.g. :deep(.child) and :global(.theme)
+const SCOPED_SELECTORS = new Set(['deep', 'v-deep', 'slotted', 'v-slotted', 'global', 'v-global']);
+const MODULE_SELECTORS = new Set(['global', 'local']);
+
+// Frameworks whose markup holds {...} expressions in attributes
+const USES_EXPRESSIONS = new Set(['svelte', 'astro']);
+
+// Astro frontmatter: a server-side script between --- fences at the top of the file
+const ASTRO_FRONTMATTER = /^\s*---[^\S\n]*\r?\n[\s\S]*?\r?\n---/;
+
+/**
+ * Get an attribute of a tag, '' for boolean attributes, or undefined
+ */
+function getAttribute(tag, name) {
+  const attribute = tag.attributes.find(candidate => candidate.name.toLowerCase() === name);
+  return attribute && (attribute.value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Get the end offset of a raw text element, after its closing tag
+ */
+function getBlockEnd(content, tag) {
+  const contentEnd = tag.contentStart + tag.content.length;
+  const close = content.indexOf('>', contentEnd);
+  return close === -1 ? content.length : close + 1;
+}
+
+/**
+ * Find the range of a Vue component's top-level <template> content, matching
+ * nested <template> tags
+ */
+function findVueTemplate(content, tags) {
+  const open = tags.find(tag => tag.name.toLowerCase() === 'template');
+  // Templates in other languages (lang="pug") aren't HTML
+  if (!open || !['', 'html'].includes(getAttribute(open, 'lang') ?? '')) return null;
+
+  const pattern = /<(\/?)template\b[^>]*>/gi;
+  pattern.lastIndex = open.end;
+  let depth = 1;
+  for (let match = pattern.exec(content); match; match = pattern.exec(content)) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return { start: open.end, end: match.index };
+    }
+  }
+  return { start: open.end, end: content.length };
+}
+
+/**
+ * Blank out everything outside the markup, keeping line breaks so that the
+ * template keeps its positions in the file
+ */
+function maskOutside(content, ranges) {
+  let masked = '';
+  let offset = 0;
+  for (const { start, end } of ranges) {
+    masked += content.slice(offset, start).replace(/[^\r\n]/g, ' ') + content.slice(start, end);
+    offset = end;
+  }
+  return masked + content.slice(offset).replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Split a component into its script blocks, style blocks and the ranges of its
+ * markup
+ *
+ * Returns { scripts, styles, markup } where blocks are { content, contentStart,
+ * tag } and markup lists the { start, end } ranges holding template markup.
+ */
+export function splitSFC(content, framework) {
+  const tags = tokenizeHTML(content, { expressions: USES_EXPRESSIONS.has(framework) });
+  const scripts = [];
+  const styles = [];
+
+  // Astro's frontmatter only runs on the server; the markup follows it
+  const frontmatter = framework === 'astro' ? content.match(ASTRO_FRONTMATTER) : null;
+  const markupStart = frontmatter ? frontmatter[0].length : 0;
+
+  const blocks = [];
+  for (const tag of tags) {
+    const name = tag.name.toLowerCase();
+    if (tag.content === undefined || tag.start < markupStart || (name !== 'script' && name !== 'style')) continue;
+
+    (name === 'script' ? scripts : styles).push({ content: tag.content, contentStart: tag.contentStart, tag });
+    blocks.push({ start: tag.start, end: getBlockEnd(content, tag) });
+  }
+
+  // Vue markup lives in <template>; Svelte and Astro markup is the rest of the file
+  let markup;
+  if (framework === 'vue') {
+    const template = findVueTemplate(content, tags);
+    markup = template ? [template] : [];
+  } else {
+    markup = [];
+    let offset = markupStart;
+    for (const block of blocks) {
+      markup.push({ start: offset, end: block.start });
+      offset = block.end;
+    }
+    markup.push({ start: offset, end: content.length });
+  }
+
+  return { scripts, styles, markup };
+}
+
+/**
+ * Check whether an issue is about syntax a component's style compiles away
+ */
+function isCompiledAway(issue, framework, tag) {
+  const selector = issue.bcdKey?.startsWith('css.selectors.') && issue.bcdKey.slice('css.selectors.'.length);
+  const scoped = framework !== 'vue' || getAttribute(tag, 'scoped') !== undefined;
+  const module = framework === 'vue' && getAttribute(tag, 'module') !== undefined;
+
+  if (selector && ((scoped && SCOPED_SELECTORS.has(selector)) || (module && MODULE_SELECTORS.has(selector)))) {
+    return true;
+  }
+  return module && issue.bcdKey === 'css.properties.composes';
+}
+
+/**
+ * Get the issues of one block of a component, or a parse issue for the block
+ * when it can't be analyzed, so that the other blocks are still checked
+ */
+function analyzeBlock(analyze, origin, columnBase, source) {
+  try {
+    return analyze();
+  } catch (error) {
+    return [createEmbeddedErrorIssue(error, origin, columnBase, source)];
+  }
+}
+
+/**
+ * Analyze a single-file component: the markup through the HTML analyzer, script
+ * blocks (lang="ts" included) through the JS analyzer and style blocks through
+ * the CSS analyzer, skipping the selectors scoped styles and CSS modules
+ * compile away. framework is 'vue', 'svelte' or 'astro'. A block that fails
+ * to parse is reported as an error issue with parseError set.
+ *
+ * Issues are positioned in the component with 1-based lines and columns and
+ * carry their source ('template', 'script' or 'style').
+ */
+export function analyzeSFCContent(content, options = {}) {
+  const { framework = 'vue' } = options;
+  const issues = [];
+
+  try {
+    const locate = createLocator(content);
+    const { scripts, styles, markup } = splitSFC(content, framework);
+
+    // The masked markup keeps its offsets, so its issues need no mapping.
+    // Vue compiles nested <template> tags (v-if, v-for, slots) away.
+    if (markup.length > 0) {
+      issues.push(...analyzeBlock(() => {
+        const result = analyzeHTMLContent(maskOutside(content, markup), { ...options, template: true, expressions: USES_EXPRESSIONS.has(framework) });
+        return result.issues
+          .filter(issue => framework !== 'vue' || issue.element !== '<template>')
+          .map(issue => ({ ...issue, source: issue.source || 'template' }));
+      }, { line: 1, column: 1 }, 0, 'template'));
+    }
+
+    for (const { content: script, contentStart, tag } of scripts) {
+      const lang = getAttribute(tag, 'lang') ?? '';
+      const type = getAttribute(tag, 'type') ?? '';
+      if (!script.trim() || !SCRIPT_LANGS.has(lang) || !SCRIPT_TYPES.has(type) || getAttribute(tag, 'src') !== undefined) continue;
+
+      const origin = locate(contentStart);
+      issues.push(...analyzeBlock(() => {
+        const result = analyzeJSContent(script, { ...options, lang: lang || 'js' });
+        return mapEmbeddedIssues(result.issues, origin, 1, 'script');
+      }, origin, 1, 'script'));
+    }
+
+    for (const { content: style, contentStart, tag } of styles) {
+      if (!style.trim() || !STYLE_LANGS.has(getAttribute(tag, 'lang') ?? '')) continue;
+
+      const origin = locate(contentStart);
+      issues.push(...analyzeBlock(() => {
+        const result = analyzeCSSContent(style, options);
+        const styleIssues = result.issues.filter(issue => !isCompiledAway(issue, framework, tag));
+        return mapEmbeddedIssues(styleIssues, origin, 0, 'style');
+      }, origin, 0, 'style'));
+    }
+  } catch (error) {
+    handleError(error, {
+      type: 'sfc_parse',
+      framework,
+      contentLength: content?.length || 0
+    });
+
+    throw new ParseError(
+      `${framework} component parsing failed: ${error.message}`,
+      null,
+      null,
+      null
+    );
+  }
+
+  return {
+    issues,
+    summary: {
+      total: issues.length,
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      guarded: issues.filter(i => i.guarded).length,
+      unguarded: issues.filter(i => !i.guarded).length
+    }
+  };
+}
+
+/**
+ * Analyze a .vue, .svelte or .astro file
+ */
+export const analyzeSFCFile = safeAsync(async (filePath, options = {}) => {
+  try {
+    const content = await readFileWithCleanup(filePath, {
+      encoding: 'utf-8',
+      maxSize: options.maxFileSize || 50 * 1024 * 1024
+    });
+    const framework = SFC_FRAMEWORKS[filePath.toLowerCase().split('.').pop()];
+    const result = analyzeSFCContent(content, { ...options, framework });
+
+    return {
+      file: filePath,
+      ...result
+    };
+  } catch (error) {
+    // FileError is already properly formatted by readFileWithCleanup
+    throw error;
+  }
+}, { operation: 'analyzeSFCFile' });
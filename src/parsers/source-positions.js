@@ -0,0 +1,61 @@
+// src/parsers/source-positions.js
+// Map positions between embedded code and the file it is embedded in
+
+/**
+ * Create a function mapping an offset in text to its { line, column }, both 1-based
+ */
+export function createLocator(text) {
+  const lineStarts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Move the issues of an embedded snippet to their place in the document.
+ * origin is the document position of the snippet's first character and
+ * columnBase 1 for analyzers with 0-based columns (JavaScript).
+ */
+export function mapEmbeddedIssues(issues, origin, columnBase, source) {
+  const mapPosition = ({ line, column }) => ({
+    line: line == null ? origin.line : origin.line + line - 1,
+    column: column == null ? null : (line === 1 ? origin.column - 1 : 0) + column + columnBase
+  });
+
+  return issues.map(issue => ({
+    ...issue,
+    ...mapPosition(issue),
+    ...(issue.locations && { locations: issue.locations.map(mapPosition) }),
+    source
+  }));
+}
+
+/**
+ * Create the issue for an embedded snippet that couldn't be analyzed, at the
+ * error's position when the analyzer knows it and at the snippet's start
+ * otherwise; the rest of the document is still analyzed
+ */
+export function createEmbeddedErrorIssue(error, origin, columnBase, source) {
+  const { line = null, column = null } = error.context ?? {};
+  const position = line == null ? { line: 1, column: 1 - columnBase } : { line, column };
+  const [issue] = mapEmbeddedIssues([{
+    ...position,
+    api: source,
+    severity: 'error',
+    message: `Could not analyze ${source}: ${error.message}`,
+    parseError: true
+  }], origin, columnBase, source);
+
+  return issue;
+}
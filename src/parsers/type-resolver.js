@@ -0,0 +1,181 @@
+// src/parsers/type-resolver.js
+// Resolve method call receiver types with the TypeScript type checker
+
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { JS_BUILTINS } from '../data/javascript-builtins.js';
+
+// Programs are shared by every file under the same tsconfig.json
+const programCache = new Map();
+
+// Library types standing for a builtin: readonly views and iterator objects
+const LIBRARY_ALIASES = {
+  ReadonlySet: 'Set',
+  ReadonlyMap: 'Map',
+  IteratorObject: 'Iterator',
+  IterableIterator: 'Iterator',
+  ArrayIterator: 'Iterator',
+  MapIterator: 'Iterator',
+  SetIterator: 'Iterator',
+  StringIterator: 'Iterator',
+  RegExpStringIterator: 'Iterator'
+};
+
+// Primitive type flag -> builtin whose prototype its values use
+const PRIMITIVE_BUILTINS = [
+  ['NumberLike', 'Number'],
+  ['BigIntLike', 'BigInt'],
+  ['BooleanLike', 'Boolean'],
+  ['ESSymbolLike', 'Symbol']
+];
+
+/**
+ * Load the optional typescript package
+ */
+async function loadTypeScript() {
+  try {
+    const module = await import('typescript');
+    return module.default || module;
+  } catch (error) {
+    logger.warn('Type-aware analysis needs the "typescript" package, falling back to syntactic analysis');
+    return null;
+  }
+}
+
+/**
+ * Find and parse the tsconfig.json governing a file
+ */
+function loadTSConfig(ts, filePath) {
+  const configPath = ts.findConfigFile(path.dirname(filePath), ts.sys.fileExists, 'tsconfig.json');
+  if (!configPath) {
+    return { configPath: null, options: { allowJs: true, noEmit: true }, fileNames: [] };
+  }
+
+  const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+  if (error) {
+    logger.warn(`Failed to read ${configPath}: ${ts.flattenDiagnosticMessageText(error.messageText, '\n')}`);
+    return { configPath: null, options: { allowJs: true, noEmit: true }, fileNames: [] };
+  }
+
+  const parsed = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath));
+  return { configPath, options: { ...parsed.options, noEmit: true }, fileNames: parsed.fileNames };
+}
+
+/**
+ * Get a program containing the file, reusing the one built for its tsconfig.json
+ */
+function getProgram(ts, filePath, tsConfig) {
+  const cacheKey = tsConfig.configPath || filePath;
+  let program = programCache.get(cacheKey);
+
+  if (!program || !program.getSourceFile(filePath)) {
+    const rootNames = tsConfig.fileNames.includes(filePath)
+      ? tsConfig.fileNames
+      : [...tsConfig.fileNames, filePath];
+    program = ts.createProgram(rootNames, tsConfig.options, undefined, program);
+    programCache.set(cacheKey, program);
+  }
+
+  return program;
+}
+
+/**
+ * Get the builtin a type declared by the default library stands for, e.g. 'Set'
+ * or 'Intl.Segmenter', 'other' for library types that aren't builtins (DOM
+ * interfaces), or null for types declared elsewhere
+ */
+function getLibraryBuiltin(program, checker, type) {
+  const symbol = type.getSymbol();
+  const declaration = symbol?.getDeclarations()?.[0];
+  if (!declaration || !program.isSourceFileDefaultLibrary(declaration.getSourceFile())) {
+    return null;
+  }
+
+  const name = checker.getFullyQualifiedName(symbol);
+  const builtin = LIBRARY_ALIASES[name] || name;
+  const [namespace, member] = builtin.split('.');
+  if (namespace === 'Intl' && JS_BUILTINS.Intl.static.includes(member)) {
+    return builtin;
+  }
+  return Object.hasOwn(JS_BUILTINS, builtin) ? builtin : 'other';
+}
+
+/**
+ * Classify a type as the builtin whose prototype its values use ('Array',
+ * 'String', 'Set', 'Intl.Segmenter'...), 'other' for types that aren't
+ * builtins, or null when it says nothing (any, unknown)
+ */
+function classifyType(ts, program, type) {
+  const checker = program.getTypeChecker();
+  if (type.flags & (ts.TypeFlags.Any | ts.TypeFlags.Unknown)) {
+    return null;
+  }
+
+  if (type.isUnion()) {
+    const kinds = new Set(type.types
+      .filter(member => !(member.flags & ts.TypeFlags.Nullable))
+      .map(member => classifyType(ts, program, member)));
+    return kinds.size === 1 ? [...kinds][0] : null;
+  }
+
+  // Generic receivers (T extends string[]) resolve through their constraint
+  if (type.flags & ts.TypeFlags.TypeParameter) {
+    const constraint = checker.getBaseConstraintOfType(type);
+    return constraint && constraint !== type ? classifyType(ts, program, constraint) : null;
+  }
+
+  if (type.flags & ts.TypeFlags.StringLike) {
+    return 'String';
+  }
+  const primitive = PRIMITIVE_BUILTINS.find(([flag]) => type.flags & ts.TypeFlags[flag]);
+  if (primitive) {
+    return primitive[1];
+  }
+  if (checker.isArrayType(type) || checker.isTupleType(type)) {
+    return 'Array';
+  }
+  return getLibraryBuiltin(program, checker, type) ?? 'other';
+}
+
+/**
+ * Create a receiver type resolver for a file, or null when type-aware analysis
+ * doesn't apply: typescript isn't installed, or a .js file without checkJs
+ *
+ * The resolver maps the start offset of a method call's receiver expression to
+ * its builtin (see classifyType), 'other' or null.
+ */
+export async function createTypeResolver(filePath) {
+  const ts = await loadTypeScript();
+  if (!ts) {
+    return null;
+  }
+
+  const absolutePath = path.resolve(filePath);
+  const tsConfig = loadTSConfig(ts, absolutePath);
+  const isTypeScript = /\.(ts|tsx|mts|cts)$/.test(absolutePath);
+  if (!isTypeScript && !tsConfig.options.checkJs) {
+    return null;
+  }
+
+  const program = getProgram(ts, absolutePath, tsConfig);
+  const sourceFile = program.getSourceFile(absolutePath);
+  if (!sourceFile) {
+    return null;
+  }
+
+  const checker = program.getTypeChecker();
+  const receiverTypes = new Map();
+
+  // Record the type of every receiver of a method call
+  const visit = node => {
+    if (ts.isCallExpression(node) && ts.isPropertyAccessExpression(node.expression)) {
+      const receiver = node.expression.expression;
+      receiverTypes.set(receiver.getStart(sourceFile), classifyType(ts, program, checker.getTypeAtLocation(receiver)));
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  logger.debug(`Resolved ${receiverTypes.size} receiver types`, { file: filePath });
+  return offset => (receiverTypes.has(offset) ? receiverTypes.get(offset) : null);
+}
@@ -0,0 +1,485 @@
+// src/parsers/web-api-resolver.js
+// Resolve web platform API usage (globals, constructors, member chains) onto api.* BCD keys
+
+import { hasBCDKey } from '../core/checker.js';
+import { STATUS_INDEX } from '../data/baseline-status.js';
+
+/**
+ * Window properties whose value is an instance of a known interface
+ */
+const GLOBAL_TYPES = {
+  window: 'Window',
+  self: 'Window',
+  globalThis: 'Window',
+  top: 'Window',
+  parent: 'Window',
+  frames: 'Window',
+  document: 'Document',
+  navigator: 'Navigator',
+  location: 'Location',
+  history: 'History',
+  screen: 'Screen',
+  localStorage: 'Storage',
+  sessionStorage: 'Storage',
+  crypto: 'Crypto',
+  performance: 'Performance',
+  customElements: 'CustomElementRegistry',
+  visualViewport: 'VisualViewport',
+  speechSynthesis: 'SpeechSynthesis',
+  cookieStore: 'CookieStore',
+  caches: 'CacheStorage',
+  indexedDB: 'IDBFactory',
+  scheduler: 'Scheduler'
+};
+
+/**
+ * Interface properties whose value is an instance of a known interface
+ */
+const PROPERTY_TYPES = {
+  'Navigator.clipboard': 'Clipboard',
+  'Navigator.credentials': 'CredentialsContainer',
+  'Navigator.geolocation': 'Geolocation',
+  'Navigator.gpu': 'GPU',
+  'Navigator.locks': 'LockManager',
+  'Navigator.mediaDevices': 'MediaDevices',
+  'Navigator.permissions': 'Permissions',
+  'Navigator.serviceWorker': 'ServiceWorkerContainer',
+  'Navigator.storage': 'StorageManager',
+  'Navigator.userActivation': 'UserActivation',
+  'Navigator.wakeLock': 'WakeLock',
+  'Navigator.xr': 'XRSystem',
+  'Document.activeElement': 'Element',
+  'Document.body': 'HTMLBodyElement',
+  'Document.defaultView': 'Window',
+  'Document.documentElement': 'HTMLHtmlElement',
+  'Document.fonts': 'FontFaceSet',
+  'Document.head': 'HTMLHeadElement',
+  'Document.timeline': 'DocumentTimeline',
+  'Element.classList': 'DOMTokenList',
+  'Element.shadowRoot': 'ShadowRoot',
+  'HTMLElement.dataset': 'DOMStringMap',
+  'HTMLElement.style': 'CSSStyleDeclaration',
+  'Node.parentElement': 'Element',
+  'AbortController.signal': 'AbortSignal',
+  'Crypto.subtle': 'SubtleCrypto',
+  'Screen.orientation': 'ScreenOrientation'
+};
+
+/**
+ * Methods returning an instance of a known interface, or a function of their
+ * first string argument returning one
+ */
+const FACTORY_TYPES = {
+  'Document.createElement': tag => getElementInterface(tag),
+  'Document.createDocumentFragment': 'DocumentFragment',
+  'Document.createRange': 'Range',
+  'Document.createTextNode': 'Text',
+  'Document.createTreeWalker': 'TreeWalker',
+  'Document.getElementById': 'Element',
+  'Document.getSelection': 'Selection',
+  'Document.querySelector': selector => getSelectorInterface(selector),
+  'Document.startViewTransition': 'ViewTransition',
+  'DocumentFragment.querySelector': selector => getSelectorInterface(selector),
+  'Element.animate': 'Animation',
+  'Element.attachShadow': 'ShadowRoot',
+  'Element.closest': selector => getSelectorInterface(selector),
+  'Element.getBoundingClientRect': 'DOMRect',
+  'Element.querySelector': selector => getSelectorInterface(selector),
+  'Element.querySelectorAll': 'NodeList',
+  'Document.querySelectorAll': 'NodeList',
+  'DocumentFragment.querySelectorAll': 'NodeList',
+  'HTMLCanvasElement.getContext': contextType => CANVAS_CONTEXTS[contextType],
+  'HTMLElement.attachInternals': 'ElementInternals',
+  'OffscreenCanvas.getContext': contextType => contextType === '2d' ? 'OffscreenCanvasRenderingContext2D' : CANVAS_CONTEXTS[contextType],
+  'Window.getComputedStyle': 'CSSStyleDeclaration',
+  'Window.getSelection': 'Selection',
+  'Window.matchMedia': 'MediaQueryList',
+  'Window.open': 'Window'
+};
+
+// getContext() context types
+const CANVAS_CONTEXTS = {
+  '2d': 'CanvasRenderingContext2D',
+  'webgl': 'WebGLRenderingContext',
+  'webgl2': 'WebGL2RenderingContext',
+  'bitmaprenderer': 'ImageBitmapRenderingContext',
+  'webgpu': 'GPUCanvasContext'
+};
+
+// Element interfaces that aren't named after their tag
+const ELEMENT_INTERFACES = {
+  a: 'HTMLAnchorElement',
+  blockquote: 'HTMLQuoteElement',
+  br: 'HTMLBRElement',
+  caption: 'HTMLTableCaptionElement',
+  col: 'HTMLTableColElement',
+  colgroup: 'HTMLTableColElement',
+  datalist: 'HTMLDataListElement',
+  del: 'HTMLModElement',
+  dl: 'HTMLDListElement',
+  fieldset: 'HTMLFieldSetElement',
+  h1: 'HTMLHeadingElement',
+  h2: 'HTMLHeadingElement',
+  h3: 'HTMLHeadingElement',
+  h4: 'HTMLHeadingElement',
+  h5: 'HTMLHeadingElement',
+  h6: 'HTMLHeadingElement',
+  hr: 'HTMLHRElement',
+  iframe: 'HTMLIFrameElement',
+  img: 'HTMLImageElement',
+  ins: 'HTMLModElement',
+  li: 'HTMLLIElement',
+  ol: 'HTMLOListElement',
+  optgroup: 'HTMLOptGroupElement',
+  p: 'HTMLParagraphElement',
+  q: 'HTMLQuoteElement',
+  tbody: 'HTMLTableSectionElement',
+  td: 'HTMLTableCellElement',
+  textarea: 'HTMLTextAreaElement',
+  tfoot: 'HTMLTableSectionElement',
+  th: 'HTMLTableCellElement',
+  thead: 'HTMLTableSectionElement',
+  tr: 'HTMLTableRowElement',
+  ul: 'HTMLUListElement'
+};
+
+// Inheritance used for member lookups; HTML*Element and SVG*Element are handled by name
+const INTERFACE_PARENTS = {
+  HTMLElement: 'Element',
+  SVGElement: 'Element',
+  Element: 'Node',
+  Document: 'Node',
+  ShadowRoot: 'DocumentFragment',
+  DocumentFragment: 'Node',
+  Text: 'CharacterData',
+  CharacterData: 'Node',
+  Node: 'EventTarget',
+  Window: 'EventTarget',
+  AbortSignal: 'EventTarget',
+  Animation: 'EventTarget',
+  Clipboard: 'EventTarget',
+  MediaQueryList: 'EventTarget',
+  ScreenOrientation: 'EventTarget',
+  ServiceWorkerContainer: 'EventTarget',
+  VisualViewport: 'EventTarget'
+};
+
+// Interfaces tried in order for events on targets of unknown type
+const EVENT_TARGET_PREFERENCE = ['Element', 'HTMLElement', 'Document', 'Window'];
+
+// Event name -> interfaces with an api.<Interface>.<event>_event key, built on first use
+let eventInterfaces = null;
+
+/**
+ * Get the interfaces that fire an event, per BCD
+ */
+function getEventInterfaces(event) {
+  if (!eventInterfaces) {
+    eventInterfaces = new Map();
+    for (const key of Object.keys(STATUS_INDEX)) {
+      const match = key.match(/^api\.(\w+)\.(\w+)_event$/);
+      if (match) {
+        eventInterfaces.set(match[2], [...(eventInterfaces.get(match[2]) || []), match[1]]);
+      }
+    }
+  }
+  return eventInterfaces.get(event) || [];
+}
+
+/**
+ * Get the interface of an element created from a tag name
+ */
+function getElementInterface(tag) {
+  if (!tag) return 'HTMLElement';
+
+  const name = tag.toLowerCase();
+  if (ELEMENT_INTERFACES[name]) {
+    return ELEMENT_INTERFACES[name];
+  }
+  const derived = `HTML${name[0].toUpperCase()}${name.slice(1)}Element`;
+  return /^[a-z]+$/.test(name) && hasBCDKey(`api.${derived}`) ? derived : 'HTMLElement';
+}
+
+/**
+ * Get the interface of the element a selector matches: the tag's when the
+ * selector is a single compound selector starting with one (dialog.modal)
+ */
+function getSelectorInterface(selector) {
+  const match = selector?.match(/^([a-z][a-z0-9]*)(?:[.#[:][^\s,>+~]*)?$/i);
+  return match ? getElementInterface(match[1]) : 'Element';
+}
+
+/**
+ * Get the interface an interface inherits its members from
+ */
+function getParentInterface(name) {
+  if (INTERFACE_PARENTS[name]) {
+    return INTERFACE_PARENTS[name];
+  }
+  if (/^HTML\w+Element$/.test(name)) return 'HTMLElement';
+  if (/^SVG\w+Element$/.test(name)) return 'SVGElement';
+  return null;
+}
+
+/**
+ * List an interface and its ancestors
+ */
+function getInterfaceChain(name) {
+  const chain = [];
+  for (let current = name; current && chain.length < 10; current = getParentInterface(current)) {
+    chain.push(current);
+  }
+  return chain;
+}
+
+/**
+ * Get the name of a member access, e.g. writeText in clipboard.writeText or clipboard['writeText']
+ */
+function getMemberName(node) {
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  if (node.computed && node.property.type === 'StringLiteral') {
+    return node.property.value;
+  }
+  return null;
+}
+
+/**
+ * Get the value of a string argument, if it is a literal
+ */
+function getStringArgument(node) {
+  if (node?.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return undefined;
+}
+
+/**
+ * Get the type of a global: a Window property holding an interface instance, or
+ * an interface or namespace itself (ResizeObserver, URL, CSS, console)
+ */
+function getGlobalType(name) {
+  if (GLOBAL_TYPES[name]) {
+    return { name: GLOBAL_TYPES[name], instance: true };
+  }
+  // ECMAScript builtins (Array, Promise, Intl) are javascript.builtins.* features
+  if (!hasBCDKey(`javascript.builtins.${name}`) && hasBCDKey(`api.${name}`)) {
+    return { name, instance: false };
+  }
+  return null;
+}
+
+/**
+ * Get the type of a property read on a value of a known type
+ */
+function getMemberType(type, member) {
+  if (!type.instance) {
+    return member === 'prototype' ? { name: type.name, instance: true } : null;
+  }
+  // window.navigator is the navigator global
+  if (type.name === 'Window' && !PROPERTY_TYPES[`Window.${member}`]) {
+    return getGlobalType(member);
+  }
+
+  for (const name of getInterfaceChain(type.name)) {
+    if (PROPERTY_TYPES[`${name}.${member}`]) {
+      return { name: PROPERTY_TYPES[`${name}.${member}`], instance: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the type returned by a method call on a value of a known type
+ */
+function getCallType(type, method, args) {
+  if (!type.instance) return null;
+
+  for (const name of getInterfaceChain(type.name)) {
+    const factory = FACTORY_TYPES[`${name}.${method}`];
+    if (factory) {
+      const result = typeof factory === 'function' ? factory(getStringArgument(args[0])) : factory;
+      return result ? { name: result, instance: true } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the web platform type of an expression: { name, instance } where name
+ * is a BCD api.* interface and instance tells instances from the interface
+ * object itself, or null when the expression isn't a known web API value
+ */
+export function resolveWebAPIType(path, depth = 0) {
+  const { node } = path;
+  if (!node || depth > 10) return null;
+
+  switch (node.type) {
+    case 'Identifier': {
+      const binding = path.scope.getBinding(node.name);
+      if (!binding) {
+        return getGlobalType(node.name);
+      }
+
+      // Follow variables that are initialized once and never reassigned
+      if (binding.constantViolations.length === 0 && binding.path.isVariableDeclarator()) {
+        const init = binding.path.get('init');
+        return init.node ? resolveWebAPIType(init, depth + 1) : null;
+      }
+      return null;
+    }
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const member = getMemberName(node);
+      const objectType = member && resolveWebAPIType(path.get('object'), depth + 1);
+      return objectType ? getMemberType(objectType, member) : null;
+    }
+    case 'CallExpression':
+    case 'OptionalCallExpression': {
+      const callee = path.get('callee');
+
+      // Window methods called as globals, e.g. matchMedia()
+      if (callee.isIdentifier()) {
+        return path.scope.getBinding(callee.node.name)
+          ? null
+          : getCallType({ name: 'Window', instance: true }, callee.node.name, node.arguments);
+      }
+
+      const method = (callee.isMemberExpression() || callee.isOptionalMemberExpression()) && getMemberName(callee.node);
+      const objectType = method && resolveWebAPIType(callee.get('object'), depth + 1);
+      return objectType ? getCallType(objectType, method, node.arguments) : null;
+    }
+    case 'NewExpression': {
+      const type = node.callee.type === 'Identifier' ? resolveWebAPIType(path.get('callee'), depth + 1) : null;
+      return type && !type.instance ? { name: type.name, instance: true } : null;
+    }
+    case 'TSNonNullExpression':
+    case 'ParenthesizedExpression':
+      return resolveWebAPIType(path.get('expression'), depth + 1);
+    case 'TSAsExpression':
+    case 'TSTypeAssertion': {
+      // document.getElementById('x') as HTMLDialogElement
+      const { typeAnnotation } = node;
+      if (typeAnnotation.type === 'TSTypeReference' && typeAnnotation.typeName.type === 'Identifier') {
+        const type = getGlobalType(typeAnnotation.typeName.name);
+        return type && !type.instance ? { name: type.name, instance: true } : null;
+      }
+      return resolveWebAPIType(path.get('expression'), depth + 1);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the api.* path of a member of a value of a known type, walking up the
+ * interface chain: Clipboard.writeText, URL.canParse_static, HTMLElement.popover
+ */
+function findMemberAPIPath(type, member) {
+  if (!type.instance) {
+    return [`${type.name}.${member}_static`, `${type.name}.${member}`]
+      .find(apiPath => hasBCDKey(`api.${apiPath}`)) || null;
+  }
+
+  for (const name of getInterfaceChain(type.name)) {
+    if (hasBCDKey(`api.${name}.${member}`)) {
+      return `${name}.${member}`;
+    }
+  }
+
+  // BCD lists members shared with workers (fetch, crypto) at the top level
+  if (type.name === 'Window' && hasBCDKey(`api.${member}`)) {
+    return member;
+  }
+  return null;
+}
+
+/**
+ * Build the result for an api.* path, labeled without the _static suffix
+ */
+function toWebAPI(apiPath, label = apiPath.replace(/_static$/, '')) {
+  return { api: label, apiPath };
+}
+
+/**
+ * Resolve a member of the value at objectPath onto its api.* BCD path, e.g.
+ * writeText of navigator.clipboard. Returns { api, apiPath } or null.
+ */
+export function resolveMemberAPI(objectPath, member) {
+  const objectType = resolveWebAPIType(objectPath);
+  const apiPath = objectType && findMemberAPIPath(objectType, member);
+  return apiPath ? toWebAPI(apiPath) : null;
+}
+
+/**
+ * Resolve a web platform API usage onto its api.* BCD path
+ *
+ * Handles global identifiers (navigator, fetch, CompressionStream), member
+ * expressions on values of a known type (navigator.clipboard.writeText,
+ * document.createElement('dialog').showModal) and constructor calls
+ * (new ResizeObserver()). Returns { api, apiPath } or null.
+ */
+export function resolveWebAPI(path) {
+  const { node } = path;
+
+  if (path.isIdentifier()) {
+    const { name } = node;
+    // Type positions (let d: HTMLDialogElement) aren't runtime usage
+    if (!path.isReferencedIdentifier() || path.scope.getBinding(name) || path.findParent(parent => parent.isTSType())) {
+      return null;
+    }
+    // Builtins are javascript.builtins.* features; constructor calls report the constructor
+    if (hasBCDKey(`javascript.builtins.${name}`) || (path.parentPath.isNewExpression() && path.parent.callee === node)) {
+      return null;
+    }
+    const apiPath = [`Window.${name}`, name].find(candidate => hasBCDKey(`api.${candidate}`));
+    return apiPath ? toWebAPI(apiPath) : null;
+  }
+
+  if (path.isMemberExpression() || path.isOptionalMemberExpression()) {
+    const member = getMemberName(node);
+    return member ? resolveMemberAPI(path.get('object'), member) : null;
+  }
+
+  if (path.isNewExpression() && node.callee.type === 'Identifier') {
+    const type = resolveWebAPIType(path.get('callee'));
+    if (!type || type.instance) return null;
+
+    const constructorPath = `${type.name}.${type.name}`;
+    return hasBCDKey(`api.${constructorPath}`)
+      ? toWebAPI(constructorPath, `new ${type.name}()`)
+      : toWebAPI(type.name, `new ${type.name}()`);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a DOM event fired at a target onto its api.<Interface>.<event>_event
+ * key. targetPath is the expression the listener is attached to, or null for
+ * the global object (addEventListener('load', fn), onload = fn).
+ *
+ * Returns { api, apiPath, confidence }: high when the target's interface has
+ * the event, lower when it is guessed from the interfaces that fire it.
+ */
+export function resolveEventAPI(targetPath, event) {
+  const label = `'${event}' event`;
+  const type = targetPath ? resolveWebAPIType(targetPath) : { name: 'Window', instance: true };
+
+  if (type?.instance) {
+    const name = getInterfaceChain(type.name).find(candidate => hasBCDKey(`api.${candidate}.${event}_event`));
+    if (name) {
+      return { ...toWebAPI(`${name}.${event}_event`, label), confidence: 'high' };
+    }
+  }
+
+  const candidates = getEventInterfaces(event);
+  if (candidates.length === 0) return null;
+
+  const name = EVENT_TARGET_PREFERENCE.find(candidate => candidates.includes(candidate)) || candidates[0];
+  return { ...toWebAPI(`${name}.${event}_event`, label), confidence: candidates.length === 1 ? 'medium' : 'low' };
+}
@@ -160,6 +160,254 @@ export function getMockBCDStatus(bcdKey) {
       }
     },
     
+    // CSS At-rules
+    'css.at-rules.container': {
+      baseline: 'low',
+      baseline_low_date: '2023-02-14',
+      support: {
+        chrome: '105',
+        chrome_android: '105',
+        edge: '105',
+        firefox: '110',
+        firefox_android: '110',
+        safari: '16',
+        safari_ios: '16'
+      }
+    },
+    'css.at-rules.container.style_queries_for_custom_properties': {
+      baseline: false, // Limited availability
+      support: {
+        chrome: '111',
+        chrome_android: '111',
+        edge: '111',
+        safari: '18',
+        safari_ios: '18'
+      }
+    },
+    'css.at-rules.font-face': {
+      baseline: 'high',
+      baseline_high_date: '2018-01-29',
+      support: {
+        chrome: '1',
+        chrome_android: '18',
+        edge: '12',
+        firefox: '3.5',
+        firefox_android: '4',
+        safari: '3.1',
+        safari_ios: '2'
+      }
+    },
+    'css.at-rules.font-face.font-display': {
+      baseline: 'high',
+      baseline_high_date: '2022-07-15',
+      support: {
+        chrome: '60',
+        chrome_android: '60',
+        edge: '79',
+        firefox: '58',
+        firefox_android: '58',
+        safari: '11.1',
+        safari_ios: '11.3'
+      }
+    },
+    'css.at-rules.media.prefers-reduced-motion': {
+      baseline: 'high',
+      baseline_high_date: '2022-07-15',
+      support: {
+        chrome: '74',
+        chrome_android: '74',
+        edge: '79',
+        firefox: '63',
+        firefox_android: '64',
+        safari: '10.1',
+        safari_ios: '10.3'
+      }
+    },
+    'css.at-rules.media.range_syntax': {
+      baseline: 'low',
+      baseline_low_date: '2023-03-27',
+      support: {
+        chrome: '104',
+        chrome_android: '104',
+        edge: '104',
+        firefox: '102',
+        firefox_android: '102',
+        safari: '16.4',
+        safari_ios: '16.4'
+      }
+    },
+    'css.at-rules.media.width': {
+      baseline: 'high',
+      baseline_high_date: '2018-01-29',
+      support: {
+        chrome: '1',
+        chrome_android: '18',
+        edge: '12',
+        firefox: '2',
+        firefox_android: '4',
+        safari: '3',
+        safari_ios: '1'
+      }
+    },
+    'css.at-rules.supports.selector': {
+      baseline: 'high',
+      baseline_high_date: '2023-10-26',
+      support: {
+        chrome: '83',
+        chrome_android: '83',
+        edge: '83',
+        firefox: '69',
+        firefox_android: '79',
+        safari: '14.1',
+        safari_ios: '14.5'
+      }
+    },
+    
+    // CSS Selectors
+    'css.selectors.has': {
+      baseline: 'low',
+      baseline_low_date: '2023-12-19',
+      support: {
+        chrome: '105',
+        chrome_android: '105',
+        edge: '105',
+        firefox: '121',
+        firefox_android: '121',
+        safari: '15.4',
+        safari_ios: '15.4'
+      }
+    },
+    'css.selectors.nesting': {
+      baseline: 'low',
+      baseline_low_date: '2023-12-11',
+      support: {
+        chrome: '120',
+        chrome_android: '120',
+        edge: '120',
+        firefox: '117',
+        firefox_android: '117',
+        safari: '17.2',
+        safari_ios: '17.2'
+      }
+    },
+    'css.selectors.focus-visible': {
+      baseline: 'high',
+      baseline_high_date: '2024-09-14',
+      support: {
+        chrome: '86',
+        chrome_android: '86',
+        edge: '86',
+        firefox: '85',
+        firefox_android: '85',
+        safari: '15.4',
+        safari_ios: '15.4'
+      }
+    },
+    'css.selectors.not.selector_list': {
+      baseline: 'high',
+      baseline_high_date: '2023-07-21',
+      support: {
+        chrome: '88',
+        chrome_android: '88',
+        edge: '88',
+        firefox: '84',
+        firefox_android: '84',
+        safari: '9',
+        safari_ios: '9'
+      }
+    },
+    'css.selectors.nth-child.of_syntax': {
+      baseline: 'low',
+      baseline_low_date: '2023-05-09',
+      support: {
+        chrome: '111',
+        chrome_android: '111',
+        edge: '111',
+        firefox: '113',
+        firefox_android: '113',
+        safari: '9',
+        safari_ios: '9'
+      }
+    },
+    
+    // CSS Types
+    'css.types.color.color-mix': {
+      baseline: 'low',
+      baseline_low_date: '2023-05-09',
+      support: {
+        chrome: '111',
+        chrome_android: '111',
+        edge: '111',
+        firefox: '113',
+        firefox_android: '113',
+        safari: '16.2',
+        safari_ios: '16.2'
+      }
+    },
+    'css.types.color.oklch.relative_syntax': {
+      baseline: 'low',
+      baseline_low_date: '2024-09-16',
+      support: {
+        chrome: '122',
+        chrome_android: '122',
+        edge: '122',
+        firefox: '128',
+        firefox_android: '128',
+        safari: '18',
+        safari_ios: '18'
+      }
+    },
+    'css.types.clamp': {
+      baseline: 'high',
+      baseline_low_date: '2020-07-28',
+      baseline_high_date: '2023-01-28',
+      support: {
+        chrome: '79',
+        chrome_android: '79',
+        edge: '79',
+        firefox: '75',
+        firefox_android: '79',
+        safari: '13.1',
+        safari_ios: '13.4'
+      }
+    },
+    'css.types.anchor': {
+      baseline: false, // Limited availability
+      support: {
+        chrome: '125',
+        chrome_android: '125',
+        edge: '125',
+        safari: '26',
+        safari_ios: '26'
+      }
+    },
+    'css.types.length.viewport_percentage_units_dynamic': {
+      baseline: 'high',
+      baseline_high_date: '2025-06-05',
+      support: {
+        chrome: '108',
+        chrome_android: '108',
+        edge: '108',
+        firefox: '101',
+        firefox_android: '101',
+        safari: '15.4',
+        safari_ios: '15.4'
+      }
+    },
+    'css.types.length.lh': {
+      baseline: 'low',
+      baseline_low_date: '2023-11-21',
+      support: {
+        chrome: '109',
+        chrome_android: '109',
+        edge: '109',
+        firefox: '120',
+        firefox_android: '120',
+        safari: '16.4',
+        safari_ios: '16.4'
+      }
+    },
+    
     // JavaScript APIs
     'javascript.builtins.Promise.try': {
       baseline: 'low',
@@ -187,7 +435,9 @@ export function getMockBCDStatus(bcdKey) {
         safari_ios: '15.4'
       }
     },
-    'javascript.builtins.structuredClone': {
+    
+    // Web platform APIs
+    'api.structuredClone': {
       baseline: false, // Limited availability
       support: {
         chrome: '98',
@@ -199,7 +449,17 @@ export function getMockBCDStatus(bcdKey) {
         safari_ios: '15.4'
       }
     },
-    'javascript.builtins.fetch': {
+    'api.Element.scrollend_event': {
+      baseline: false, // Limited availability
+      support: {
+        chrome: '114',
+        chrome_android: '114',
+        edge: '114',
+        firefox: '109',
+        firefox_android: '109'
+      }
+    },
+    'api.fetch': {
       baseline: 'high',
       baseline_high_date: '2015-05-26',
       support: {
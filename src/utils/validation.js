@@ -11,6 +11,8 @@ export const VALIDATION_RULES = {
   // File extensions
   CSS_EXTENSIONS: ['.css'],
   JS_EXTENSIONS: ['.js', '.jsx', '.ts', '.tsx'],
+  HTML_EXTENSIONS: ['.html', '.htm'],
+  SFC_EXTENSIONS: ['.vue', '.svelte', '.astro'],
   
   // Baseline levels
   BASELINE_LEVELS: ['low', 'high'],
@@ -0,0 +1,359 @@
+// Unit tests for the CSS parser
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { analyzeCSSContent } from '../../src/parsers/css-parser.js';
+import { calculateScore } from '../../src/core/checker.js';
+
+describe('CSS Parser - At-rules', () => {
+  it('should report at-rules with their location', () => {
+    const css = `.a { color: red; }\n@container card (width > 400px) {\n  .b { color: blue; }\n}`;
+    const { issues } = analyzeCSSContent(css);
+    const container = issues.find(i => i.bcdKey === 'css.at-rules.container');
+    
+    assert(container, 'Should report @container');
+    assert.strictEqual(container.atRule, 'container');
+    assert.strictEqual(container.property, '@container');
+    assert.strictEqual(container.line, 2);
+    assert.strictEqual(container.column, 1);
+    assert.strictEqual(container.baseline, 'low');
+  });
+
+  it('should report prelude sub-features such as container style queries', () => {
+    const css = `@container style(--theme: dark) {\n  .b { color: blue; }\n}`;
+    const { issues } = analyzeCSSContent(css);
+    const styleQuery = issues.find(
+      i => i.bcdKey === 'css.at-rules.container.style_queries_for_custom_properties'
+    );
+    
+    assert(styleQuery, 'Should report the style() query');
+    assert.strictEqual(styleQuery.severity, 'error');
+    assert.strictEqual(styleQuery.line, 1);
+    assert.strictEqual(styleQuery.column, 12);
+  });
+
+  it('should check descriptors against their at-rule instead of as properties', () => {
+    const css = `@font-face {\n  font-family: Inter;\n  font-display: swap;\n}`;
+    const { issues } = analyzeCSSContent(css);
+    const fontDisplay = issues.find(i => i.bcdKey === 'css.at-rules.font-face.font-display');
+    
+    assert(fontDisplay, 'Should report the font-display descriptor');
+    assert.strictEqual(fontDisplay.subfeature, 'font-display');
+    assert.strictEqual(fontDisplay.line, 3);
+    assert(!issues.some(i => i.bcdKey === 'css.properties.font-display'));
+  });
+
+  it('should count at-rules toward the score', () => {
+    const css = `@container style(--theme: dark) { .b { color: blue; } }`;
+    const { issues } = analyzeCSSContent(css);
+    const atRuleIssues = issues.filter(i => i.atRule);
+    
+    assert(atRuleIssues.length >= 2);
+    assert(calculateScore(issues) < 100);
+  });
+});
+
+describe('CSS Parser - Selectors', () => {
+  it('should report pseudo-classes at their own position', () => {
+    const css = `.card { color: red; }\n.card:has(> img) { padding: 0; }`;
+    const { issues } = analyzeCSSContent(css);
+    const has = issues.find(i => i.bcdKey === 'css.selectors.has');
+    
+    assert(has, 'Should report :has()');
+    assert.strictEqual(has.selector, ':has()');
+    assert.strictEqual(has.line, 2);
+    assert.strictEqual(has.column, 6);
+    assert.strictEqual(has.baseline, 'low');
+    assert(issues.some(i => i.bcdKey === 'css.selectors.child'), 'Should report the > combinator');
+  });
+
+  it('should report pseudo-classes nested inside other selectors', () => {
+    const { issues } = analyzeCSSContent(`:is(a, button):focus-visible { outline: none; }`);
+    
+    assert(issues.some(i => i.bcdKey === 'css.selectors.is'));
+    assert(issues.some(i => i.bcdKey === 'css.selectors.focus-visible' && i.severity === 'info'));
+  });
+
+  it('should resolve selector sub-features', () => {
+    const { issues } = analyzeCSSContent(`li:not(.a, .b) {}\nli:nth-child(2 of .x) {}`);
+    
+    assert(issues.some(i => i.bcdKey === 'css.selectors.not.selector_list'));
+    assert(issues.some(i => i.bcdKey === 'css.selectors.nth-child.of_syntax'));
+  });
+
+  it('should report pseudo-elements', () => {
+    const { issues } = analyzeCSSContent(`dialog::backdrop {}\nx-card::part(label) {}`);
+    const part = issues.find(i => i.bcdKey === 'css.selectors.part');
+    
+    assert(issues.some(i => i.selector === '::backdrop'));
+    assert.strictEqual(part.selector, '::part()');
+    assert.strictEqual(part.line, 2);
+  });
+
+  it('should report explicit and implicit CSS nesting', () => {
+    const css = `.a {\n  & .b { color: red; }\n  .c { color: blue; }\n}`;
+    const nesting = analyzeCSSContent(css).issues.filter(i => i.bcdKey === 'css.selectors.nesting');
+    
+    assert.deepStrictEqual(nesting.map(i => i.line).sort(), [2, 3]);
+    assert(nesting.every(i => i.selector === '&'));
+  });
+});
+
+describe('CSS Parser - Value functions', () => {
+  it('should report functions at their own position', () => {
+    const css = `.a {\n  color: color-mix(in oklch, red, blue);\n}`;
+    const { issues } = analyzeCSSContent(css);
+    const colorMix = issues.find(i => i.bcdKey === 'css.types.color.color-mix');
+    
+    assert(colorMix, 'Should report color-mix()');
+    assert.strictEqual(colorMix.property, 'color');
+    assert.strictEqual(colorMix.value, 'color-mix()');
+    assert.strictEqual(colorMix.line, 2);
+    assert.strictEqual(colorMix.column, 10);
+  });
+  
+  it('should report every use of a function and skip widely available ones', () => {
+    const css = [
+      '.a {',
+      '  color: color-mix(in oklch, red, blue);',
+      '  background: color-mix(in srgb, red, blue);',
+      '  width: clamp(1rem, 50%, 40rem);',
+      '}'
+    ].join('\n');
+    const { issues } = analyzeCSSContent(css);
+    const functions = issues.filter(i => i.value?.endsWith('()'));
+    
+    assert.deepStrictEqual(functions.map(i => [i.line, i.column, i.property, i.value]), [
+      [2, 10, 'color', 'color-mix()'],
+      [3, 15, 'background', 'color-mix()']
+    ]);
+  });
+
+  it('should detect relative color syntax', () => {
+    const { issues } = analyzeCSSContent(`.a { background: oklch(from var(--brand) l c h); }`);
+    
+    assert(issues.some(i => i.bcdKey === 'css.types.color.oklch.relative_syntax'));
+  });
+
+  it('should report nested functions and limited-availability functions', () => {
+    const { issues } = analyzeCSSContent(`.tip { top: calc(anchor(--btn bottom) + 4px); }`);
+    const anchor = issues.find(i => i.bcdKey === 'css.types.anchor');
+    
+    assert(anchor, 'Should report anchor() inside calc()');
+    assert.strictEqual(anchor.severity, 'error');
+    assert.strictEqual(anchor.column, 18);
+  });
+
+  it('should skip functions BCD does not know', () => {
+    const { issues } = analyzeCSSContent(`.grid { grid-template-columns: repeat(2, minmax(0, 1fr)); }`);
+    
+    assert(!issues.some(i => i.value === 'repeat()' || i.value === 'minmax()'));
+  });
+});
+
+describe('CSS Parser - Units', () => {
+  it('should map units to their css.types.length entry', () => {
+    const { issues } = analyzeCSSContent(`.a { margin-block: 1lh; }`);
+    const lh = issues.find(i => i.unit === 'lh');
+    
+    assert.strictEqual(lh.bcdKey, 'css.types.length.lh');
+    assert.strictEqual(lh.baseline, 'low');
+    assert.strictEqual(lh.column, 20);
+  });
+
+  it('should group repeated units into one issue with every location', () => {
+    const css = `.a { height: 100dvh; }\n.b { min-height: 50dvh; }\n.c { max-height: 10DVH; }`;
+    const dvh = analyzeCSSContent(css).issues.filter(i => i.unit === 'dvh');
+    
+    assert.strictEqual(dvh.length, 1);
+    assert.strictEqual(dvh[0].bcdKey, 'css.types.length.viewport_percentage_units_dynamic');
+    assert.strictEqual(dvh[0].occurrences, 3);
+    assert.deepStrictEqual(dvh[0].locations.map(l => l.line), [1, 2, 3]);
+  });
+
+  it('should ignore units without their own BCD entry', () => {
+    const { issues } = analyzeCSSContent(`.a { width: 10px; height: 2cm; }`);
+    
+    assert(!issues.some(i => i.unit));
+  });
+});
+
+describe('CSS Parser - Media queries and @supports conditions', () => {
+  it('should report media features with accurate locations', () => {
+    const css = `a { color: red; }\n@media (prefers-reduced-motion: reduce) {\n  a { color: blue; }\n}`;
+    const { issues } = analyzeCSSContent(css);
+    const feature = issues.find(i => i.bcdKey === 'css.at-rules.media.prefers-reduced-motion');
+    
+    assert(feature, 'Should report prefers-reduced-motion');
+    assert.strictEqual(feature.atRule, 'media');
+    assert.strictEqual(feature.subfeature, 'prefers-reduced-motion');
+    assert.strictEqual(feature.line, 2);
+    assert.strictEqual(feature.column, 8);
+  });
+
+  it('should report range syntax and normalize the feature name', () => {
+    const { issues } = analyzeCSSContent(`@media (width >= 600px) {}\n@media (min-width: 400px) {}`);
+    const range = issues.find(i => i.bcdKey === 'css.at-rules.media.range_syntax');
+    const widths = issues.filter(i => i.bcdKey === 'css.at-rules.media.width');
+    
+    assert(range, 'Should report range syntax');
+    assert.strictEqual(range.baseline, 'low');
+    assert.deepStrictEqual(widths.map(i => i.line), [1, 2]);
+  });
+
+  it('should report @supports selector() conditions', () => {
+    const { issues } = analyzeCSSContent(`@supports selector(:has(a)) {\n  a { color: red; }\n}`);
+    const selector = issues.find(i => i.bcdKey === 'css.at-rules.supports.selector');
+    
+    assert(selector, 'Should report selector()');
+    assert.strictEqual(selector.column, 11);
+  });
+});
+
+describe('CSS Parser - @supports guards', () => {
+  const css = [
+    '@supports (container-type: inline-size) {',
+    '  .card { container-type: inline-size; }',
+    '}',
+    '.list { container-type: inline-size; }',
+    '@supports selector(:has(a)) {',
+    '  .card:has(img) { padding: 0; }',
+    '}',
+    '@supports not (container-name: card) {',
+    '  .legacy { container-name: card; }',
+    '}'
+  ].join('\n');
+
+  it('should mark features tested by the enclosing @supports as guarded', () => {
+    const { issues } = analyzeCSSContent(css);
+    const [guarded, unguarded] = issues.filter(i => i.property === 'container-type');
+    
+    assert.strictEqual(guarded.line, 2);
+    assert.strictEqual(guarded.guarded, true);
+    assert.strictEqual(guarded.guard, '@supports (container-type: inline-size)');
+    assert.strictEqual(unguarded.line, 4);
+    assert.strictEqual(unguarded.guarded, false);
+  });
+
+  it('should recognize selector() guards and ignore negated conditions', () => {
+    const { issues } = analyzeCSSContent(css);
+    
+    assert.strictEqual(issues.find(i => i.bcdKey === 'css.selectors.has').guarded, true);
+    assert.strictEqual(issues.find(i => i.property === 'container-name').guarded, false);
+  });
+
+  it('should apply the guarded severity and count guarded usages', () => {
+    const limited = `@supports (display: grid) {\n  .a { grid-template-columns: subgrid; }\n}`;
+    const guardedCss = `@supports (grid-template-columns: subgrid) {\n  .a { grid-template-columns: subgrid; }\n}`;
+    const { issues, summary } = analyzeCSSContent(guardedCss, { guardedSeverity: 'warning' });
+    const guarded = issues.find(i => i.property === 'grid-template-columns');
+    
+    assert.strictEqual(guarded.guarded, true);
+    assert.strictEqual(guarded.severity, 'warning');
+    assert.strictEqual(summary.guarded, 1);
+    assert.strictEqual(summary.unguarded, issues.length - 1);
+    assert(!analyzeCSSContent(limited).issues.find(i => i.property === 'grid-template-columns').guarded);
+  });
+
+  it('should only mark the value function a condition tests, not its property', () => {
+    const css = '@supports (color: color-mix(in srgb, red, blue)) {\n  a { color: color-mix(in srgb, red, blue); }\n}';
+    const { issues, summary } = analyzeCSSContent(css);
+
+    assert.deepStrictEqual(issues.filter(i => i.property === 'color').map(i => [i.bcdKey, i.guarded]), [
+      ['css.properties.color', false],
+      ['css.types.color.color-mix', true]
+    ]);
+    assert.strictEqual(summary.guarded, 1);
+  });
+
+  it('should weight guarded usages higher in the score', () => {
+    const limited = { baseline: false, severity: 'error' };
+    
+    assert(calculateScore([{ ...limited, guarded: true }]) > calculateScore([limited]));
+  });
+});
+
+describe('CSS Parser - Fallback declarations', () => {
+  const css = [
+    '.a {',
+    '  top: 0;',
+    '  top: anchor(bottom);',
+    '  line-height: 1.5em;',
+    '  line-height: 1lh;',
+    '}',
+    '.b { top: anchor(top); }'
+  ].join('\n');
+
+  it('should downgrade a declaration that has an earlier fallback in the same block', () => {
+    const { issues } = analyzeCSSContent(css);
+    const [withFallback, withoutFallback] = issues.filter(i => i.bcdKey === 'css.types.anchor');
+    
+    assert.strictEqual(withFallback.line, 3);
+    assert.strictEqual(withFallback.hasFallback, true);
+    assert.strictEqual(withFallback.severity, 'info');
+    assert.deepStrictEqual(withFallback.fallback, { line: 2, column: 3, declaration: 'top: 0' });
+    assert.match(withFallback.message, /has fallback `top: 0` \(line 2\)/);
+    
+    assert.strictEqual(withoutFallback.line, 7);
+    assert.strictEqual(withoutFallback.hasFallback, undefined);
+    assert.strictEqual(withoutFallback.severity, 'error');
+  });
+
+  it('should report units with a fallback separately', () => {
+    const { issues } = analyzeCSSContent(css + '\n.c { margin: 1lh; }', { requiredLevel: 'high' });
+    const units = issues.filter(i => i.unit === 'lh');
+    
+    assert.strictEqual(units.length, 2);
+    assert.strictEqual(units.find(i => i.line === 5).fallback.declaration, 'line-height: 1.5em');
+    assert.strictEqual(units.find(i => i.line === 8).severity, 'warning');
+  });
+
+  it('should not treat declarations in different blocks as fallbacks', () => {
+    const { issues } = analyzeCSSContent('.a { top: 0; }\n.a { top: anchor(bottom); }');
+    
+    assert(!issues.some(i => i.hasFallback));
+  });
+});
+
+describe('CSS Parser - Vendor prefixes', () => {
+  it('should map prefixed properties to the unprefixed BCD entry', () => {
+    const { issues } = analyzeCSSContent('.a {\n  -webkit-line-clamp: 3;\n  -moz-appearance: none;\n}');
+    const lineClamp = issues.find(i => i.property === '-webkit-line-clamp');
+    const appearance = issues.find(i => i.property === '-moz-appearance');
+    
+    assert.strictEqual(lineClamp.bcdKey, 'css.properties.line-clamp');
+    assert.strictEqual(lineClamp.support.firefox, '68');
+    assert.match(lineClamp.message, /prefixed -webkit-line-clamp covers .*safari 5/);
+    
+    assert.strictEqual(appearance.bcdKey, 'css.properties.appearance');
+    assert.strictEqual(appearance.severity, 'error');
+    assert.deepStrictEqual(Object.keys(appearance.support), ['firefox', 'firefox_android']);
+  });
+
+  it('should map prefixed values and skip prefixed values without data', () => {
+    const { issues } = analyzeCSSContent('.a {\n  display: -webkit-box;\n  display: -webkit-flex;\n}');
+    
+    assert.strictEqual(issues.find(i => i.value === '-webkit-flex').bcdKey, 'css.properties.display.flex');
+    assert(!issues.some(i => i.value === '-webkit-box'));
+  });
+
+  it('should pair an unprefixed declaration with its prefixed twin', () => {
+    const css = '.a {\n  -webkit-backdrop-filter: blur(4px);\n  backdrop-filter: blur(4px);\n}\n.b { -webkit-backdrop-filter: none; }';
+    const { issues } = analyzeCSSContent(css, { requiredLevel: 'high' });
+    const [prefixed, alone] = issues.filter(i => i.property === '-webkit-backdrop-filter' && !i.value);
+    const unprefixed = issues.find(i => i.property === 'backdrop-filter' && !i.value);
+    
+    assert.strictEqual(unprefixed.hasFallback, true);
+    assert.deepStrictEqual(unprefixed.fallback, {
+      line: 2,
+      column: 3,
+      declaration: '-webkit-backdrop-filter: blur(4px)',
+      prefixed: true
+    });
+    assert.strictEqual(unprefixed.severity, 'info');
+    
+    assert.strictEqual(prefixed.unprefixedTwin.line, 3);
+    assert.strictEqual(prefixed.severity, 'info');
+    assert.strictEqual(alone.unprefixedTwin, undefined);
+    assert.strictEqual(alone.severity, 'error');
+  });
+});
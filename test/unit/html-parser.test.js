@@ -0,0 +1,122 @@
+// test/unit/html-parser.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyzeHTMLContent, analyzeHTMLFile } from '../../src/parsers/html-parser.js';
+import { tokenizeHTML } from '../../src/parsers/html-tokenizer.js';
+import { calculateScore } from '../../src/core/checker.js';
+
+describe('HTML Parser - Elements and attributes', () => {
+  it('should check elements and attributes against html.* BCD keys', () => {
+    const html = [
+      '<search><dialog inert></dialog></search>',
+      '<img loading="lazy" fetchpriority=high src="a.png">',
+      '<div popover hidden="until-found" data-state="open" onclick="toggle()"></div>',
+      '<template shadowrootmode="open"><my-card></my-card></template>',
+      '<input type="color"><script type="importmap">{}</script>'
+    ].join('\n');
+    const { issues } = analyzeHTMLContent(html);
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.column, i.bcdKey]), [
+      [1, 2, 'html.elements.search'],
+      [1, 10, 'html.elements.dialog'],
+      [1, 17, 'html.global_attributes.inert'],
+      [2, 2, 'html.elements.img'],
+      [2, 6, 'html.elements.img.loading'],
+      [2, 21, 'html.elements.img.fetchpriority'],
+      [2, 40, 'html.elements.img.src'],
+      [3, 2, 'html.elements.div'],
+      [3, 6, 'html.global_attributes.popover'],
+      [3, 14, 'html.global_attributes.hidden.until-found'],
+      [3, 35, 'html.global_attributes.data_attributes'],
+      [4, 2, 'html.elements.template'],
+      [4, 11, 'html.elements.template.shadowrootmode'],
+      [5, 2, 'html.elements.input'],
+      [5, 8, 'html.elements.input.type_color'],
+      [5, 22, 'html.elements.script'],
+      [5, 29, 'html.elements.script.type.importmap']
+    ]);
+  });
+
+  it('should skip comments, doctypes and end tags', () => {
+    const tags = tokenizeHTML('<!doctype html>\n<!-- <dialog> -->\n<p class=a>1 < 2</p>\n<style>p > a { color: red }</style>');
+
+    assert.deepStrictEqual(tags.map(tag => tag.name), ['p', 'style']);
+    assert.deepStrictEqual(tags[0].attributes.map(({ name, value }) => [name, value]), [['class', 'a']]);
+    assert.strictEqual(tags[1].content, 'p > a { color: red }');
+  });
+
+  it('should keep going on malformed markup', () => {
+    const html = '<div =foo popover>\n<dialog open == x <p/ =>\n<search';
+    const tags = tokenizeHTML(html);
+
+    assert.deepStrictEqual(tags[0].attributes.map(({ name, value }) => [name, value]), [['=foo', null], ['popover', null]]);
+    assert.deepStrictEqual(analyzeHTMLContent(html).issues.map(i => [i.line, i.column, i.bcdKey]), [
+      [1, 2, 'html.elements.div'],
+      [1, 11, 'html.global_attributes.popover'],
+      [2, 2, 'html.elements.dialog'],
+      [2, 9, 'html.elements.dialog.open'],
+      [3, 2, 'html.elements.search']
+    ]);
+  });
+});
+
+describe('HTML Parser - Inline code', () => {
+  const html = [
+    '<style>',
+    '  .card { container-type: inline-size; }',
+    '</style>',
+    '<p style="display: grid; anchor-name: --tip">',
+    '<script type="module">',
+    '  const { promise } = Promise.withResolvers();',
+    '</script>',
+    '<script type="text/template"><dialog></script>'
+  ].join('\n');
+
+  it('should analyze style blocks, style attributes and scripts at their place in the document', () => {
+    const { issues } = analyzeHTMLContent(html);
+    const embedded = issues.filter(i => i.source);
+
+    assert.deepStrictEqual(embedded.map(i => [i.line, i.column, i.source, i.bcdKey]), [
+      [2, 11, 'style', 'css.properties.container-type'],
+      [4, 11, 'style-attribute', 'css.properties.display.grid'],
+      [4, 26, 'style-attribute', 'css.properties.anchor-name'],
+      [6, 23, 'script', 'javascript.builtins.Promise.withResolvers']
+    ]);
+    assert(!issues.some(i => i.bcdKey === 'html.elements.dialog'));
+  });
+
+  it('should report a script that fails to parse and keep analyzing the document', () => {
+    const { issues } = analyzeHTMLContent('<dialog>\n<script>\n  const x = {;\n</script>\n<p style="anchor-name: --a">');
+    const failed = issues.find(i => i.parseError);
+
+    assert.deepStrictEqual([failed.line, failed.column, failed.source, failed.severity], [3, 14, 'script', 'error']);
+    assert.match(failed.message, /^Could not analyze script: JavaScript parsing failed/);
+    assert(issues.some(i => i.bcdKey === 'html.elements.dialog'));
+    assert(issues.some(i => i.bcdKey === 'css.properties.anchor-name'));
+    assert.strictEqual(calculateScore([failed]), 100);
+  });
+
+  describe('analyzeHTMLFile', () => {
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-lint-html-'));
+      await fs.writeFile(path.join(dir, 'index.html'), html);
+    });
+
+    after(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should analyze files with the content analyzer', async () => {
+      const result = await analyzeHTMLFile(path.join(dir, 'index.html'));
+
+      assert.strictEqual(result.file, path.join(dir, 'index.html'));
+      assert.deepStrictEqual(result.issues, analyzeHTMLContent(html).issues);
+      assert.strictEqual(result.summary.total, result.issues.length);
+    });
+  });
+});
@@ -0,0 +1,724 @@
+// Unit tests for the JavaScript parser
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyzeJSContent, analyzeJSFile } from '../../src/parsers/js-parser.js';
+
+describe('JS Parser - Prototype method calls', () => {
+  it('should report method calls on receivers of a known type', () => {
+    const js = `const items = [3, 1, 2];\nitems.at(-1);\n'a-b'.replaceAll('-', '+');`;
+    const { issues } = analyzeJSContent(js);
+    const at = issues.find(i => i.api === 'Array.prototype.at');
+    const replaceAll = issues.find(i => i.api === 'String.prototype.replaceAll');
+
+    assert.strictEqual(at.line, 2);
+    assert.strictEqual(at.column, 6);
+    assert.strictEqual(at.confidence, 'high');
+    assert.strictEqual(at.bcdKey, 'javascript.builtins.Array.at');
+    assert.strictEqual(replaceAll.confidence, 'high');
+    assert(!issues.some(i => i.api === 'String.prototype.at'));
+  });
+
+  it('should follow receiver-preserving calls', () => {
+    const { issues } = analyzeJSContent(`Object.keys(obj).filter(Boolean).toSorted();\nname.trim().at(0);`);
+
+    assert.strictEqual(issues.find(i => i.api === 'Array.prototype.toSorted').confidence, 'high');
+    assert.strictEqual(issues.find(i => i.api === 'String.prototype.at').confidence, 'high');
+    assert(!issues.some(i => i.api === 'Array.prototype.at'));
+  });
+
+  it('should lower the confidence for unknown receivers', () => {
+    const { issues } = analyzeJSContent(`value.at(0);\nlist.toSorted();`);
+
+    assert.strictEqual(issues.find(i => i.api === 'Array.prototype.at').confidence, 'low');
+    assert.strictEqual(issues.find(i => i.api === 'String.prototype.at').confidence, 'low');
+    assert.strictEqual(issues.find(i => i.api === 'Array.prototype.toSorted').confidence, 'medium');
+  });
+
+  it('should ignore property reads and receivers of other types', () => {
+    const { issues } = analyzeJSContent(`const fn = list.at;\n({ at() {} }).at(1);\nArray.from(list);`);
+
+    assert(!issues.some(i => i.api?.includes('.prototype.')));
+  });
+});
+
+describe('JS Parser - Builtins', () => {
+  it('should classify static and prototype members from the builtins catalogue', () => {
+    const js = [
+      'const rows = await Array.fromAsync(stream);',
+      'const { promise, resolve } = Promise.withResolvers();',
+      'const tags = new Set(list);',
+      'tags.union(other);',
+      'const grouped = Map.groupBy(rows, row => row.type);'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+    const apis = issues.filter(i => !i.syntax).map(i => [i.line, i.api, i.bcdKey]);
+
+    assert.deepStrictEqual(apis.filter(([, api]) => api.includes('.')), [
+      [1, 'Array.fromAsync', 'javascript.builtins.Array.fromAsync'],
+      [2, 'Promise.withResolvers', 'javascript.builtins.Promise.withResolvers'],
+      [4, 'Set.prototype.union', 'javascript.builtins.Set.union'],
+      [5, 'Map.groupBy', 'javascript.builtins.Map.groupBy']
+    ]);
+    assert.strictEqual(issues.find(i => i.api === 'Set.prototype.union').confidence, 'high');
+  });
+
+  it('should only guess Array and String methods for unknown receivers', () => {
+    const { issues } = analyzeJSContent([
+      "chalk.bold('done');",
+      'program.description();',
+      'stream.take(3).toArray();',
+      'records.get(id);'
+    ].join('\n'));
+
+    assert.deepStrictEqual(issues, []);
+  });
+
+  it('should not report prototype methods on instances of user classes', () => {
+    const { issues } = analyzeJSContent('class Box {}\nconst b = new Box();\nb.with(1);\nnew Store().at(0);');
+
+    assert.deepStrictEqual(issues, []);
+  });
+
+  it('should skip shadowed builtins', () => {
+    const { issues } = analyzeJSContent('import { Promise } from "bluebird";\nPromise.try(load);\nconst Map = createMap();\nnew Map();');
+
+    assert.strictEqual(issues.length, 0);
+  });
+
+  it('should report static members without their namespace object', () => {
+    const { issues } = analyzeJSContent([
+      'Array.from(list);',
+      'Promise.withResolvers();',
+      'new Intl.Segmenter();',
+      'Array.prototype.at.call(list, -1);',
+      'const words = (text: string, segmenter: Intl.Segmenter): Set<string> | null => null;',
+      'const root = globalThis;'
+    ].join('\n'));
+
+    assert.deepStrictEqual(issues.filter(i => i.api !== 'Function.prototype.call').map(i => [i.line, i.api]), [
+      [1, 'Array.from'],
+      [2, 'Promise.withResolvers'],
+      [3, 'Intl.Segmenter'],
+      [4, 'Array.prototype.at'],
+      [6, 'globalThis']
+    ]);
+  });
+});
+
+describe('JS Parser - Type-aware analysis', () => {
+  let projectDir;
+
+  before(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-lint-ts-'));
+    await fs.writeFile(path.join(projectDir, 'tsconfig.json'), JSON.stringify({
+      compilerOptions: { target: 'ES2023', lib: ['ES2023'], strict: true },
+      include: ['*.ts']
+    }));
+    await fs.writeFile(path.join(projectDir, 'app.ts'), [
+      'class Settings { with(key: string) { return this; } }',
+      'new Settings().with(\'theme\');',
+      'declare function load(): number[];',
+      'const data = load();',
+      'data.toSorted();',
+      'function first<T extends string>(value: T) { return value.at(0); }',
+      'function merge(a: Set<string>, b: Set<string>) { return a.union(b); }',
+      'function words(segmenter: Intl.Segmenter, text: string) { return segmenter.segment(text); }',
+      'function matches(pattern: RegExp, bytes: Uint8Array) { return pattern.test(String(bytes.toReversed())); }'
+    ].join('\n'));
+    await fs.writeFile(path.join(projectDir, 'plain.js'), 'const data = load();\ndata.toSorted();');
+  });
+
+  after(async () => {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  });
+
+  it('should resolve receivers with the type checker', async () => {
+    const result = await analyzeJSFile(path.join(projectDir, 'app.ts'), { typeAware: true });
+    const prototypeCalls = result.issues.filter(i => i.api.includes('.prototype.') && i.line <= 6);
+
+    assert.deepStrictEqual(
+      prototypeCalls.map(i => [i.line, i.api, i.confidence]),
+      [[5, 'Array.prototype.toSorted', 'high'], [6, 'String.prototype.at', 'high']]
+    );
+  });
+
+  it('should resolve receivers of other builtins to their prototype', async () => {
+    const result = await analyzeJSFile(path.join(projectDir, 'app.ts'), { typeAware: true });
+    const prototypeCalls = result.issues.filter(i => i.api.includes('.prototype.') && i.line > 6);
+
+    assert.deepStrictEqual(prototypeCalls.map(i => [i.line, i.api, i.confidence]), [
+      [7, 'Set.prototype.union', 'high'],
+      [8, 'Intl.Segmenter.prototype.segment', 'high'],
+      [9, 'RegExp.prototype.test', 'high'],
+      [9, 'TypedArray.prototype.toReversed', 'high']
+    ]);
+  });
+
+  it('should keep syntactic analysis when the mode is off or does not apply', async () => {
+    const syntactic = await analyzeJSFile(path.join(projectDir, 'app.ts'));
+    const plainJS = await analyzeJSFile(path.join(projectDir, 'plain.js'), { typeAware: true });
+
+    assert.strictEqual(syntactic.issues.find(i => i.api === 'Array.prototype.toSorted').confidence, 'medium');
+    assert(!syntactic.issues.some(i => i.api === 'Array.prototype.with'));
+    assert.strictEqual(plainJS.issues.find(i => i.api === 'Array.prototype.toSorted').confidence, 'medium');
+  });
+});
+
+describe('JS Parser - Syntax features', () => {
+  it('should map syntax nodes to javascript.* BCD keys', () => {
+    const js = [
+      '#!/usr/bin/env node',
+      'import data from "./data.json" with { type: "json" };',
+      'class Store { static { } #items = []; #load() {} static size = 1; name = ""; has(o) { return #items in o; } }',
+      'const limit = 1_000_000;',
+      'const label = user?.name ?? "anonymous";',
+      'options.retries ||= 3;',
+      'await ready;'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+    const syntax = Object.fromEntries(issues.filter(i => i.syntax).map(i => [i.bcdKey, i.line]));
+
+    assert.deepStrictEqual(syntax, {
+      'javascript.grammar.hashbang_comments': 1,
+      'javascript.statements.import.import_attributes': 2,
+      'javascript.classes.static.initialization_blocks': 3,
+      'javascript.classes.private_class_fields': 3,
+      'javascript.classes.private_class_methods': 3,
+      'javascript.classes.static.class_fields': 3,
+      'javascript.classes.public_class_fields': 3,
+      'javascript.classes.private_class_fields_in': 3,
+      'javascript.grammar.numeric_separators': 4,
+      'javascript.operators.optional_chaining': 5,
+      'javascript.operators.nullish_coalescing': 5,
+      'javascript.operators.logical_or_assignment': 6,
+      'javascript.operators.await.top_level': 7
+    });
+  });
+
+  it('should only report await at the top level of a module', () => {
+    const { issues } = analyzeJSContent('async function load() { await fetch(url); }');
+
+    assert(!issues.some(i => i.bcdKey === 'javascript.operators.await.top_level'));
+  });
+
+  it('should skip plain member access and TypeScript-only class members', () => {
+    const { issues } = analyzeJSContent('class A { declare id: string; }\nconst value = a.b.c;');
+
+    assert(!issues.some(i => i.syntax));
+  });
+});
+
+describe('JS Parser - Web platform APIs', () => {
+  it('should map globals, constructors and member chains to api.* BCD keys', () => {
+    const js = [
+      'await navigator.clipboard.writeText(text);',
+      'document.startViewTransition(update);',
+      'const observer = new ResizeObserver(onResize);',
+      'const supported = typeof CompressionStream === "function";',
+      'URL.canParse(href);',
+      'structuredClone(state);'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+    const apis = Object.fromEntries(issues.filter(i => i.bcdKey.startsWith('api.')).map(i => [i.bcdKey, i.line]));
+
+    assert.deepStrictEqual(apis, {
+      'api.Clipboard.writeText': 1,
+      'api.Document.startViewTransition': 2,
+      'api.ResizeObserver.ResizeObserver': 3,
+      'api.CompressionStream': 4,
+      'api.URL.canParse_static': 5,
+      'api.structuredClone': 6
+    });
+    assert(!issues.some(i => i.bcdKey.startsWith('javascript.builtins.') && i.bcdKey !== 'javascript.builtins.Array.at'));
+    assert.strictEqual(issues.find(i => i.bcdKey === 'api.structuredClone').severity, 'error');
+  });
+
+  it('should resolve interface members reached through factory calls', () => {
+    const js = [
+      'const dialog = document.createElement("dialog");',
+      'dialog.showModal();',
+      'document.createElement("canvas").getContext("2d").roundRect(0, 0, 10, 10, 2);',
+      'document.querySelector("details.faq").name = "faq";',
+      'document.querySelectorAll("a").forEach(link => link.remove());',
+      'HTMLDialogElement.prototype.requestClose;'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+    const keys = issues.map(i => i.bcdKey);
+
+    assert.strictEqual(issues.find(i => i.bcdKey === 'api.HTMLDialogElement.showModal').line, 2);
+    assert(keys.includes('api.CanvasRenderingContext2D.roundRect'));
+    assert(keys.includes('api.HTMLDetailsElement.name'));
+    assert(keys.includes('api.NodeList.forEach'));
+    assert(keys.includes('api.HTMLDialogElement.requestClose'));
+    assert(!issues.some(i => i.api === 'Array.prototype.forEach'));
+  });
+
+  it('should not report the root or interface object of a deeper member', () => {
+    const js = [
+      'window.onscrollend = onScroll;',
+      "if ('x' in document) {}",
+      'HTMLDialogElement.prototype.showModal;',
+      'window.navigator.clipboard.writeText(text);'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.bcdKey]), [
+      [1, 'api.Element.scrollend_event'],
+      [3, 'api.HTMLDialogElement.showModal'],
+      [4, 'api.Clipboard.writeText']
+    ]);
+  });
+
+  it('should leave locally declared names alone', () => {
+    const { issues } = analyzeJSContent('const navigator = getRouter();\nnavigator.clipboard.writeText(text);\nfunction f(document) { return document.body; }');
+
+    assert(!issues.some(i => i.bcdKey.startsWith('api.')));
+  });
+});
+
+describe('JS Parser - Feature detection guards', () => {
+  it('should mark usages behind feature detection as guarded', () => {
+    const js = [
+      'if ("startViewTransition" in document) { document.startViewTransition(update); }',
+      'const copy = typeof structuredClone === "function" ? structuredClone(state) : clone(state);',
+      'navigator.clipboard?.writeText(text);',
+      'function parse(href) { if (!("canParse" in URL)) return null; return URL.canParse(href); }',
+      'if (!window.CompressionStream) { polyfill(); } else { new CompressionStream("gzip"); }'
+    ].join('\n');
+    const { issues, summary } = analyzeJSContent(js);
+    const guarded = issues.filter(i => i.guarded).map(i => [i.line, i.bcdKey, i.guard]);
+
+    assert.deepStrictEqual(guarded, [
+      [1, 'api.Document.startViewTransition', '"startViewTransition" in document'],
+      [2, 'api.structuredClone', 'typeof structuredClone'],
+      [2, 'api.structuredClone', 'typeof structuredClone === "function"'],
+      [3, 'api.Clipboard.writeText', 'navigator.clipboard?.'],
+      [4, 'api.URL.canParse_static', '!("canParse" in URL)'],
+      [5, 'api.CompressionStream', '!window.CompressionStream'],
+      [5, 'api.CompressionStream.CompressionStream', '!window.CompressionStream']
+    ]);
+    assert.strictEqual(issues.find(i => i.bcdKey === 'api.structuredClone').severity, 'info');
+    assert.strictEqual(summary.guarded, 7);
+    assert.strictEqual(summary.unguarded, issues.length - 7);
+  });
+
+  it('should not treat unrelated or inverted checks as guards', () => {
+    const js = [
+      'if ("share" in navigator) { structuredClone(state); }',
+      'if (typeof structuredClone === "undefined") { structuredClone(state); }'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js, { guardedSeverity: 'warning' });
+    const usage = issues.find(i => i.bcdKey === 'api.structuredClone');
+
+    assert.strictEqual(usage.line, 1);
+    assert.strictEqual(usage.guarded, false);
+    assert.strictEqual(usage.severity, 'error');
+  });
+
+  it('should not treat null checks on a receiver or root object as guards', () => {
+    const js = [
+      'if (items) items.at(-1);',
+      'if (data && data.list) data.list.toSorted();',
+      'if (navigator) navigator.clipboard.writeText(text);',
+      'function last(items) { if (!items) return; return items.at(-1); }',
+      'if (navigator.clipboard) navigator.clipboard.writeText(text);'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+    const usages = issues.filter(i => /\.(at|toSorted|writeText)$/.test(i.bcdKey));
+
+    assert.deepStrictEqual(usages.map(i => [i.line, i.bcdKey, i.guarded]), [
+      [1, 'javascript.builtins.Array.at', false],
+      [1, 'javascript.builtins.String.at', false],
+      [2, 'javascript.builtins.Array.toSorted', false],
+      [3, 'api.Clipboard.writeText', false],
+      [4, 'javascript.builtins.Array.at', false],
+      [4, 'javascript.builtins.String.at', false],
+      [5, 'api.Clipboard.writeText', true]
+    ]);
+  });
+
+  it('should use the configured severity for guarded usages', () => {
+    const { issues } = analyzeJSContent('if (window.structuredClone) structuredClone(state);', { guardedSeverity: 'warning' });
+    const usage = issues.find(i => i.bcdKey === 'api.structuredClone');
+
+    assert.strictEqual(usage.severity, 'warning');
+    assert.match(usage.message, /guarded by window\.structuredClone$/);
+  });
+});
+
+describe('JS Parser - Occurrences', () => {
+  const js = [
+    'const a = structuredClone(x);',
+    'const b = structuredClone(y);',
+    'if (window.structuredClone) { structuredClone(z); }'
+  ].join('\n');
+
+  it('should report every occurrence with its own location', () => {
+    const { issues } = analyzeJSContent(js);
+    const usages = issues.filter(i => i.bcdKey === 'api.structuredClone');
+
+    assert.deepStrictEqual(usages.map(i => [i.line, i.column, i.guarded]), [
+      [1, 10, false],
+      [2, 10, false],
+      [3, 11, true],
+      [3, 30, true]
+    ]);
+  });
+
+  it('should collapse occurrences by feature when asked', () => {
+    const { issues, summary } = analyzeJSContent(js, { groupByFeature: true });
+    const usages = issues.filter(i => i.bcdKey === 'api.structuredClone');
+
+    assert.strictEqual(usages.length, 2);
+    assert.strictEqual(usages[0].occurrences, 2);
+    assert.deepStrictEqual(usages[0].locations, [{ line: 1, column: 10 }, { line: 2, column: 10 }]);
+    assert.strictEqual(usages[1].guarded, true);
+    assert.strictEqual(usages[1].occurrences, 2);
+    assert.strictEqual(summary.total, issues.length);
+  });
+});
+
+describe('JS Parser - Regular expressions', () => {
+  const regexKeys = issues => issues
+    .filter(i => /regular_expressions|builtins\.RegExp\./.test(i.bcdKey))
+    .map(i => [i.line, i.column, i.bcdKey]);
+
+  it('should report pattern and flag features at the regex literal', () => {
+    const js = [
+      'const price = /(?<=\\$)(?<amount>\\d+)/d;',
+      'const date = /(?<year>\\d{4})-\\d\\d|\\d\\d-(?<year>\\d{4})\\k<year>/v;',
+      'const letter = /\\p{L}/su;'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+
+    assert.deepStrictEqual(regexKeys(issues), [
+      [1, 14, 'javascript.regular_expressions.lookbehind_assertion'],
+      [1, 14, 'javascript.regular_expressions.named_capturing_group'],
+      [1, 14, 'javascript.builtins.RegExp.hasIndices'],
+      [2, 13, 'javascript.regular_expressions.named_capturing_group'],
+      [2, 13, 'javascript.regular_expressions.named_capturing_group.duplicate_named_capturing_groups'],
+      [2, 13, 'javascript.regular_expressions.named_backreference'],
+      [2, 13, 'javascript.builtins.RegExp.unicodeSets'],
+      [3, 15, 'javascript.regular_expressions.unicode_character_class_escape'],
+      [3, 15, 'javascript.builtins.RegExp.dotAll'],
+      [3, 15, 'javascript.builtins.RegExp.unicode']
+    ]);
+  });
+
+  it('should read patterns and flags passed to the RegExp constructor', () => {
+    const js = "const re = new RegExp('(?<=a)\\\\p{L}', `v`);\nconst plain = RegExp(source, 'v');";
+    const { issues } = analyzeJSContent(js);
+
+    assert.deepStrictEqual(regexKeys(issues), [
+      [1, 22, 'javascript.regular_expressions.lookbehind_assertion'],
+      [1, 22, 'javascript.regular_expressions.unicode_character_class_escape'],
+      [1, 38, 'javascript.builtins.RegExp.unicodeSets']
+    ]);
+  });
+
+  it('should ignore escaped syntax, character classes and non-Unicode \\p', () => {
+    const { issues } = analyzeJSContent('const re = /\\(?<=x[(?<n>]\\p{L}/g;');
+    assert.deepStrictEqual(regexKeys(issues), []);
+  });
+});
+
+describe('JS Parser - Intl', () => {
+  it('should check each option of an Intl constructor against its BCD sub-key', () => {
+    const js = [
+      "const price = new Intl.NumberFormat('en', { roundingMode: 'halfEven', 'style': 'currency', custom: 1 });",
+      'const time = Intl.DateTimeFormat(undefined, { fractionalSecondDigits: 2 });',
+      "const sorter = new Intl.Collator('en', { caseFirst: 'upper' });"
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+    const options = issues.filter(i => i.api.endsWith(' option'));
+
+    assert.deepStrictEqual(options.map(i => [i.line, i.column, i.api, i.bcdKey]), [
+      [1, 44, 'Intl.NumberFormat roundingMode option', 'javascript.builtins.Intl.NumberFormat.NumberFormat.options_parameter.options_roundingMode_parameter'],
+      [1, 70, 'Intl.NumberFormat style option', 'javascript.builtins.Intl.NumberFormat.NumberFormat.options_parameter.options_style_parameter'],
+      [2, 46, 'Intl.DateTimeFormat fractionalSecondDigits option', 'javascript.builtins.Intl.DateTimeFormat.DateTimeFormat.options_parameter.options_fractionalSecondDigits_parameter'],
+      [3, 41, 'Intl.Collator caseFirst option', 'javascript.builtins.Intl.Collator.Collator.options_caseFirst_parameter']
+    ]);
+  });
+
+  it('should report methods called on Intl objects', () => {
+    const js = [
+      "const segmenter = new Intl.Segmenter('en', { granularity: 'word' });",
+      'segmenter.segment(text);',
+      "Intl.DateTimeFormat('en').formatRange(start, end);",
+      "Intl.Segmenter.supportedLocalesOf(['en']);",
+      'other.segment(text);'
+    ].join('\n');
+    const keys = analyzeJSContent(js).issues.map(i => i.bcdKey);
+
+    assert.ok(keys.includes('javascript.builtins.Intl.Segmenter'));
+    assert.ok(keys.includes('javascript.builtins.Intl.Segmenter.segment'));
+    assert.ok(keys.includes('javascript.builtins.Intl.DateTimeFormat.formatRange'));
+    assert.ok(keys.includes('javascript.builtins.Intl.Segmenter.supportedLocalesOf'));
+    assert.strictEqual(keys.filter(key => key === 'javascript.builtins.Intl.Segmenter.segment').length, 1);
+  });
+
+  it('should report a static Intl method without its constructor', () => {
+    const { issues } = analyzeJSContent("Intl.Segmenter.supportedLocalesOf(['en']);");
+
+    assert.deepStrictEqual(issues.map(i => i.bcdKey), ['javascript.builtins.Intl.Segmenter.supportedLocalesOf']);
+  });
+});
+
+describe('JS Parser - DOM events', () => {
+  const events = issues => issues
+    .filter(i => i.bcdKey?.endsWith('_event'))
+    .map(i => [i.line, i.column, i.bcdKey, i.confidence]);
+
+  it('should check events passed to addEventListener on the target interface', () => {
+    const js = [
+      "document.addEventListener('scrollend', onScroll);",
+      "const dialog = document.querySelector('dialog');",
+      "dialog.removeEventListener(`beforetoggle`, onToggle);",
+      "addEventListener('pageswap', onSwap);"
+    ].join('\n');
+
+    assert.deepStrictEqual(events(analyzeJSContent(js).issues), [
+      [1, 26, 'api.Document.scrollend_event', 'high'],
+      [3, 27, 'api.HTMLElement.beforetoggle_event', 'high'],
+      [4, 17, 'api.Window.pageswap_event', 'high']
+    ]);
+  });
+
+  it('should check on<event> handler assignments', () => {
+    const js = [
+      "const dialog = document.createElement('dialog');",
+      'dialog.onbeforetoggle = onToggle;',
+      'onpageswap = onSwap;',
+      'element.oncontentvisibilityautostatechange = onChange;'
+    ].join('\n');
+
+    assert.deepStrictEqual(events(analyzeJSContent(js).issues), [
+      [2, 7, 'api.HTMLElement.beforetoggle_event', 'high'],
+      [3, 0, 'api.Window.pageswap_event', 'high'],
+      [4, 8, 'api.Element.contentvisibilityautostatechange_event', 'medium']
+    ]);
+  });
+
+  it('should lower errors to warnings when the target is guessed', () => {
+    const { issues } = analyzeJSContent("target.addEventListener('scrollend', onScroll);");
+
+    assert.deepStrictEqual(issues.map(i => [i.bcdKey, i.confidence, i.severity]), [
+      ['api.Element.scrollend_event', 'low', 'warning']
+    ]);
+  });
+
+  it('should skip custom events, dynamic names and local handlers', () => {
+    const js = [
+      "el.addEventListener('my-event', handler);",
+      'el.addEventListener(eventName, handler);',
+      'let onload;',
+      'onload = handler;'
+    ].join('\n');
+
+    assert.deepStrictEqual(events(analyzeJSContent(js).issues), []);
+  });
+});
+
+describe('JS Parser - CSSOM', () => {
+  const css = issues => issues
+    .filter(i => i.bcdKey?.startsWith('css.'))
+    .map(i => [i.line, i.column, i.property, i.bcdKey]);
+
+  it('should check CSS set through style, setProperty, registerProperty and animate', () => {
+    const js = [
+      "el.style.containerType = 'inline-size';",
+      "el.style.display = 'grid';",
+      "el.style.setProperty('anchor-name', '--tooltip');",
+      "CSS.registerProperty({ name: '--angle', syntax: '<angle>', inherits: false });",
+      "el.animate({ viewTimeline: '--reveal', offset: 0.5 }, 1000);",
+      "el.style.cssText = 'display: grid; gap: 1rem';",
+      "el.style.custom = 'value';"
+    ].join('\n');
+
+    assert.deepStrictEqual(css(analyzeJSContent(js).issues), [
+      [1, 9, 'container-type', 'css.properties.container-type'],
+      [2, 9, 'display', 'css.properties.display.grid'],
+      [3, 21, 'anchor-name', 'css.properties.anchor-name'],
+      [4, 29, '--angle', 'css.properties.custom-property'],
+      [5, 13, 'view-timeline', 'css.properties.view-timeline'],
+      [6, 19, 'display', 'css.properties.display.grid'],
+      [6, 19, 'gap', 'css.properties.gap']
+    ]);
+  });
+
+  it('should treat CSS.supports() tests and the usages they guard as guarded', () => {
+    const js = "if (CSS.supports('anchor-name', '--a')) {\n  el.style.anchorName = '--a';\n}";
+    const issues = analyzeJSContent(js).issues.filter(i => i.bcdKey === 'css.properties.anchor-name');
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.guarded, i.guard]), [
+      [1, true, "CSS.supports('anchor-name', '--a')"],
+      [2, true, "CSS.supports('anchor-name', '--a')"]
+    ]);
+  });
+
+  it('should read single-argument CSS.supports() conditions without parentheses', () => {
+    const js = "if (CSS.supports('anchor-name: --a')) {\n  el.style.anchorName = '--a';\n}\nCSS.supports(\"display: grid\");";
+    const issues = analyzeJSContent(js).issues.filter(i => i.bcdKey?.startsWith('css.'));
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.bcdKey, i.guarded]), [
+      [1, 'css.properties.anchor-name', true],
+      [2, 'css.properties.anchor-name', true],
+      [4, 'css.properties.display.grid', true]
+    ]);
+  });
+});
+
+describe('JS Parser - CSS-in-JS', () => {
+  const css = issues => issues
+    .filter(i => i.source === 'css-in-js')
+    .map(i => [i.line, i.column, i.api, i.bcdKey]);
+
+  it('should check tagged templates with placeholders for interpolations', () => {
+    const js = [
+      "import styled, { keyframes } from 'styled-components';",
+      'const Card = styled.div`',
+      '  container-type: inline-size;',
+      '  color: ${p => p.color};',
+      '  ${mixin};',
+      '  &:hover { translate: ${x}px 0; }',
+      '`;',
+      'const spin = keyframes`to { rotate: 1turn }`;',
+      'const local = css`anchor-name: --a;`;'
+    ].join('\n');
+
+    // Nesting is compiled away and css`` isn't imported from a CSS-in-JS library
+    assert.deepStrictEqual(css(analyzeJSContent(js).issues), [
+      [3, 2, 'container-type', 'css.properties.container-type'],
+      [4, 2, 'color', 'css.properties.color'],
+      [6, 12, 'translate', 'css.properties.translate'],
+      [6, 3, ':hover', 'css.selectors.hover'],
+      [8, 28, 'rotate', 'css.properties.rotate']
+    ]);
+  });
+
+  it('should check Lit css`` as a stylesheet', () => {
+    const js = [
+      "import { LitElement, css as litCSS } from 'lit';",
+      'const styles = litCSS`:host { anchor-name: --a; } .a { & .b { text-wrap: balance } }`;'
+    ].join('\n');
+
+    assert.deepStrictEqual(css(analyzeJSContent(js).issues), [
+      [2, 30, 'anchor-name', 'css.properties.anchor-name'],
+      [2, 62, 'text-wrap', 'css.properties.text-wrap'],
+      [2, 22, ':host', 'css.selectors.host'],
+      [2, 55, '&', 'css.selectors.nesting']
+    ]);
+  });
+
+  it('should check object styles with camelCase keys, nested rules and responsive values', () => {
+    const js = [
+      "import { css } from '@emotion/css';",
+      "const box = css({ containerType: 'size', color: 'light-dark(red, blue)', '&:hover': { textWrap: 'balance' } });",
+      'const App = () => (',
+      "  <div sx={{ p: 2, width: { xs: 'fit-content', md: 10 }, '@supports (anchor-name: --a)': { anchorName: '--a' } }} style={{ inset: 0 }} />",
+      ');'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+
+    assert.deepStrictEqual(css(issues), [
+      [2, 18, 'container-type', 'css.properties.container-type'],
+      [2, 41, 'color', 'css.properties.color'],
+      [2, 49, 'color: light-dark()', 'css.types.color.light-dark'],
+      [2, 86, 'text-wrap', 'css.properties.text-wrap'],
+      [2, 73, ':hover', 'css.selectors.hover'],
+      [4, 19, 'width', 'css.properties.width'],
+      [4, 19, 'width', 'css.properties.width'],
+      [4, 91, 'anchor-name', 'css.properties.anchor-name'],
+      [4, 57, '@supports', 'css.at-rules.supports'],
+      [4, 123, 'inset', 'css.properties.inset']
+    ]);
+    assert(issues.find(i => i.bcdKey === 'css.properties.anchor-name').guarded);
+  });
+});
+
+describe('JS Parser - HTML templates', () => {
+  const template = issues => issues
+    .filter(i => i.source === 'html-template')
+    .map(i => [i.line, i.column, i.api, i.bcdKey]);
+
+  it('should check Lit html`` markup at its place in the template', () => {
+    const js = [
+      "import { html } from 'lit';",
+      'const view = html`<dialog ?open=${open} popover=${mode} @close=${close} .value=${v}>',
+      '  <p part="label" class="a ${cls}" style="anchor-name: ${name}">${label}</p>',
+      '  ${items.map(item => html`<search inert>${item}</search>`)}',
+      '</dialog>`;'
+    ].join('\n');
+    const { issues } = analyzeJSContent(js);
+
+    assert.deepStrictEqual(template(issues), [
+      [2, 19, '<dialog>', 'html.elements.dialog'],
+      [2, 26, '<dialog> open', 'html.elements.dialog.open'],
+      [2, 40, '<dialog> popover', 'html.global_attributes.popover'],
+      [3, 3, '<p>', 'html.elements.p'],
+      [3, 5, '<p> part', 'html.global_attributes.part'],
+      [3, 18, '<p> class', 'html.global_attributes.class'],
+      [3, 35, '<p> style', 'html.global_attributes.style'],
+      [3, 42, 'anchor-name', 'css.properties.anchor-name'],
+      [4, 28, '<search>', 'html.elements.search'],
+      [4, 35, '<search> inert', 'html.global_attributes.inert']
+    ]);
+    // Values filled by an interpolation are unknown
+    assert.strictEqual(issues.find(i => i.api === '<dialog> popover').value, null);
+    assert.strictEqual(issues.find(i => i.api === '<p> part').value, 'label');
+  });
+
+  it('should report a template script that fails to parse and keep analyzing the file', () => {
+    const js = "import { html } from 'lit';\nconst view = html`<dialog><script>const x = {;</script></dialog>`;\nPromise.withResolvers();";
+    const { issues } = analyzeJSContent(js);
+    const failed = issues.find(i => i.parseError);
+
+    assert.deepStrictEqual([failed.line, failed.column, failed.source, failed.severity], [2, 45, 'html-template', 'error']);
+    assert(issues.some(i => i.bcdKey === 'html.elements.dialog'));
+    assert(issues.some(i => i.bcdKey === 'javascript.builtins.Promise.withResolvers'));
+  });
+
+  it('should skip html tags that are not imported from an HTML template library', () => {
+    const js = "import { html } from './markdown.js';\nhtml`<dialog open></dialog>`;\nconst page = String.raw`<search></search>`;";
+
+    assert.deepStrictEqual(template(analyzeJSContent(js).issues), []);
+  });
+});
+
+describe('JS Parser - JSX', () => {
+  const html = issues => issues
+    .filter(i => i.bcdKey?.startsWith('html.'))
+    .map(i => [i.line, i.column, i.api, i.bcdKey]);
+
+  it('should check intrinsic elements and their props against html.* BCD keys', () => {
+    const js = [
+      'const Panel = () => (',
+      '  <search><dialog inert className="panel" onClose={close}>',
+      '    <img fetchPriority="high" loading={\'lazy\'} key="hero" />',
+      '    <input enterKeyHint="done" popover="hint" />',
+      '  </dialog></search>',
+      ');'
+    ].join('\n');
+
+    assert.deepStrictEqual(html(analyzeJSContent(js).issues), [
+      [2, 3, '<search>', 'html.elements.search'],
+      [2, 11, '<dialog>', 'html.elements.dialog'],
+      [2, 18, '<dialog> inert', 'html.global_attributes.inert'],
+      [2, 24, '<dialog> class', 'html.global_attributes.class'],
+      [3, 5, '<img>', 'html.elements.img'],
+      [3, 9, '<img> fetchpriority', 'html.elements.img.fetchpriority'],
+      [3, 30, '<img> loading', 'html.elements.img.loading'],
+      [4, 5, '<input>', 'html.elements.input'],
+      [4, 11, '<input> enterkeyhint', 'html.global_attributes.enterkeyhint'],
+      [4, 31, '<input> popover', 'html.global_attributes.popover.hint']
+    ]);
+  });
+
+  it('should leave components and custom element names alone', () => {
+    const js = 'const App = () => <Dialog inert><ui.Card popover /><my-card /></Dialog>;';
+    assert.deepStrictEqual(html(analyzeJSContent(js).issues), []);
+  });
+});
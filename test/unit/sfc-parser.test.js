@@ -0,0 +1,165 @@
+// test/unit/sfc-parser.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyzeSFCContent, analyzeSFCFile } from '../../src/parsers/sfc-parser.js';
+
+const VUE_COMPONENT = [
+  '<template>',
+  '  <dialog :popover="mode" inert>',
+  '    <template v-if="ok"><search>x</search></template>',
+  '    <Dialog popover />',
+  '  </dialog>',
+  '</template>',
+  '',
+  '<script setup lang="ts">',
+  'const items: string[] = [];',
+  'const last = items.at(-1);',
+  '</script>',
+  '',
+  '<style scoped>',
+  '.a :deep(.b) { container-type: inline-size; }',
+  '</style>',
+  '<style module>',
+  ':global(.c) { composes: x; }',
+  '</style>',
+  '<style lang="scss">',
+  '$x: 1px; .d { display: grid }',
+  '</style>'
+].join('\n');
+
+describe('SFC Parser - Vue', () => {
+  it('should analyze the template, TypeScript script and styles at their place in the component', () => {
+    const { issues } = analyzeSFCContent(VUE_COMPONENT, { framework: 'vue' });
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.column, i.source, i.bcdKey]), [
+      [2, 4, 'template', 'html.elements.dialog'],
+      [2, 11, 'template', 'html.global_attributes.popover'],
+      [2, 27, 'template', 'html.global_attributes.inert'],
+      [3, 26, 'template', 'html.elements.search'],
+      [10, 20, 'script', 'javascript.builtins.Array.at'],
+      [14, 16, 'style', 'css.properties.container-type']
+    ]);
+  });
+
+  it('should skip selectors and properties that scoped styles and CSS modules compile away', () => {
+    const { issues } = analyzeSFCContent(VUE_COMPONENT, { framework: 'vue' });
+
+    assert(!issues.some(i => i.bcdKey?.startsWith('css.selectors.')));
+    assert(!issues.some(i => i.property === 'composes'));
+    assert(!issues.some(i => i.line === 20), 'scss blocks are not CSS');
+  });
+
+  it('should parse lang="ts" scripts without JSX and report a block that fails to parse', () => {
+    const vue = [
+      '<template><dialog></dialog></template>',
+      '<script setup lang="ts">',
+      'const size = <number>value;',
+      'const last = [size].at(-1);',
+      '</script>',
+      '<script lang="tsx">',
+      'const x = {;',
+      '</script>',
+      '<style>.a { container-type: size; }</style>'
+    ].join('\n');
+    const { issues } = analyzeSFCContent(vue, { framework: 'vue' });
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.column, i.source, i.bcdKey, Boolean(i.parseError)]), [
+      [1, 12, 'template', 'html.elements.dialog', false],
+      [4, 21, 'script', 'javascript.builtins.Array.at', false],
+      [7, 12, 'script', undefined, true],
+      [9, 13, 'style', 'css.properties.container-type', false]
+    ]);
+    assert.match(issues[2].message, /^Could not analyze script: JavaScript parsing failed/);
+  });
+});
+
+describe('SFC Parser - Svelte and Astro', () => {
+  it('should treat the rest of a Svelte component as markup', () => {
+    const svelte = [
+      '<script lang="ts">',
+      '  let open: boolean = $state(false);',
+      '  const chunks = Object.groupBy(items, i => i.kind);',
+      '</script>',
+      '',
+      '{#if open}',
+      '  <dialog open popover="manual"><Search /></dialog>',
+      '{/if}',
+      '',
+      '<style>',
+      '  :global(body) { text-wrap: balance; }',
+      '</style>'
+    ].join('\n');
+    const { issues } = analyzeSFCContent(svelte, { framework: 'svelte' });
+
+    assert.deepStrictEqual(issues.map(i => [i.line, i.column, i.source, i.bcdKey]), [
+      [7, 4, 'template', 'html.elements.dialog'],
+      [7, 11, 'template', 'html.elements.dialog.open'],
+      [7, 16, 'template', 'html.global_attributes.popover'],
+      [3, 18, 'script', 'javascript.builtins.Object.groupBy'],
+      [11, 19, 'style', 'css.properties.text-wrap']
+    ]);
+  });
+
+  it('should skip {...} expressions in Svelte and Astro attributes', () => {
+    const svelte = [
+      '<button on:click={() => count++} disabled={count >= 1} {hidden} {...rest} class="a {count > 1 ? "b" : "c"}" popover>',
+      '  {count < 2 ? \'few\' : \'many\'}',
+      '</button>',
+      '<dialog open={count > 3}></dialog>'
+    ].join('\n');
+    const astro = '---\nconst items = [];\n---\n<ul>{items.map(item => <li inert={item > 1}>{item}</li>)}</ul>';
+
+    assert.deepStrictEqual(analyzeSFCContent(svelte, { framework: 'svelte' }).issues.map(i => [i.line, i.column, i.bcdKey, i.value]), [
+      [1, 2, 'html.elements.button', undefined],
+      [1, 34, 'html.elements.button.disabled', null],
+      [1, 57, 'html.global_attributes.hidden', null],
+      [1, 75, 'html.global_attributes.class', 'a {count > 1 ? "b" : "c"}'],
+      [1, 109, 'html.global_attributes.popover', null],
+      [4, 2, 'html.elements.dialog', undefined],
+      [4, 9, 'html.elements.dialog.open', null]
+    ]);
+    assert.deepStrictEqual(analyzeSFCContent(astro, { framework: 'astro' }).issues.map(i => [i.line, i.column, i.bcdKey]), [
+      [4, 2, 'html.elements.ul'],
+      [4, 25, 'html.elements.li'],
+      [4, 28, 'html.global_attributes.inert']
+    ]);
+  });
+
+  describe('analyzeSFCFile', () => {
+    const astro = [
+      '---',
+      "import Card from '../Card.astro';",
+      'const list = await Promise.any([a]);',
+      '---',
+      '<search>',
+      '  <Card inert />',
+      '</search>',
+      '<script>',
+      '  document.startViewTransition(() => {});',
+      '</script>'
+    ].join('\n');
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baseline-lint-sfc-'));
+      await fs.writeFile(path.join(dir, 'Page.astro'), astro);
+    });
+
+    after(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should pick the framework from the extension and skip the server-side frontmatter', async () => {
+      const result = await analyzeSFCFile(path.join(dir, 'Page.astro'));
+
+      assert.strictEqual(result.file, path.join(dir, 'Page.astro'));
+      assert.deepStrictEqual(result.issues.map(i => [i.line, i.column, i.source, i.bcdKey]), [
+        [5, 2, 'template', 'html.elements.search'],
+        [9, 12, 'script', 'api.Document.startViewTransition']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// Unit tests for the generated Baseline status index
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { coreBrowserSet } from 'compute-baseline';
+import { STATUS_INDEX, STATUS_INDEX_META } from '../../src/data/baseline-status.js';
+import { JS_BUILTINS } from '../../src/data/javascript-builtins.js';
+
+describe('Baseline status index', () => {
+  it('should record the data versions it was generated from', () => {
+    assert.match(STATUS_INDEX_META.webFeatures, /^\d+\.\d+\.\d+/);
+    assert.match(STATUS_INDEX_META.computeBaseline, /^\d+\.\d+\.\d+/);
+    assert.match(STATUS_INDEX_META.browserCompatData, /^\d+\.\d+\.\d+/);
+    assert.deepStrictEqual(STATUS_INDEX_META.browsers, coreBrowserSet);
+  });
+
+  it('should hold well-formed entries for every namespace', () => {
+    for (const key of ['api.Clipboard.writeText', 'css.properties.gap', 'html.elements.dialog', 'javascript.builtins.Array.at']) {
+      const [baseline, lowDate, highDate, versions] = STATUS_INDEX[key];
+
+      assert(['high', 'low', false].includes(baseline), key);
+      assert(baseline === false || typeof lowDate === 'string', key);
+      assert(baseline !== 'high' || typeof highDate === 'string', key);
+      assert.strictEqual(versions.split(',').length, STATUS_INDEX_META.browsers.length, key);
+    }
+  });
+
+  it('should only contain real BCD keys', () => {
+    assert(STATUS_INDEX['css.properties.custom-property']);
+    assert.strictEqual(STATUS_INDEX['css.properties.--primary-color'], undefined);
+  });
+});
+
+describe('JavaScript builtins catalogue', () => {
+  it('should classify members as static or prototype', () => {
+    assert(JS_BUILTINS.Array.static.includes('fromAsync'));
+    assert(JS_BUILTINS.Array.prototype.includes('at'));
+    assert(!JS_BUILTINS.Array.prototype.includes('from'));
+    assert(!JS_BUILTINS.String.prototype.includes('raw'));
+    assert(JS_BUILTINS.Promise.static.includes('withResolvers'));
+    assert(JS_BUILTINS.Set.prototype.includes('union'));
+    assert(JS_BUILTINS.Intl.static.includes('Segmenter'));
+  });
+
+  it('should record what kind of global each builtin is', () => {
+    assert.strictEqual(JS_BUILTINS.Map.kind, 'constructor');
+    assert.strictEqual(JS_BUILTINS.Math.kind, 'namespace');
+    assert.strictEqual(JS_BUILTINS.parseInt.kind, 'function');
+    assert.strictEqual(JS_BUILTINS.globalThis.kind, 'value');
+    assert.strictEqual(JS_BUILTINS.TypedArray.kind, 'intrinsic');
+  });
+
+  it('should only list members BCD knows', () => {
+    for (const [name, builtin] of Object.entries(JS_BUILTINS)) {
+      for (const member of [...builtin.static, ...builtin.prototype]) {
+        assert(STATUS_INDEX[`javascript.builtins.${name}.${member}`], `${name}.${member}`);
+      }
+    }
+  });
+});